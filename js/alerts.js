@@ -0,0 +1,144 @@
+/**
+ * Alerts Module
+ * Local notifications when a budget's spending reaches its alert thresholds,
+ * percentages of the period's target and, optionally, of each category limit.
+ * The thresholds that already fired are remembered on this device per budget
+ * and period, so each one notifies once per period. No push server is
+ * involved: the app checks after saving transactions and shows the
+ * notification through its service worker.
+ */
+
+// Highest threshold accepted, as a percentage of the target or limit
+const MAX_ALERT_THRESHOLD = 500;
+
+/**
+ * Read alert thresholds from text such as "50, 75, 90, 100%".
+ * @param {string} text
+ * @returns {Array<number>} Unique whole percentages in ascending order
+ */
+function parseAlertThresholds(text) {
+    const thresholds = String(text || '')
+        .split(/[\s,;%]+/)
+        .map((part) => parseInt(part, 10))
+        .filter((value) => value > 0 && value <= MAX_ALERT_THRESHOLD);
+    return [...new Set(thresholds)].sort((a, b) => a - b);
+}
+
+/**
+ * Format alert thresholds for the settings input, e.g. "50, 75, 100".
+ * @param {Array<number>} thresholds
+ * @returns {string}
+ */
+function formatAlertThresholds(thresholds) {
+    return (thresholds || []).join(', ');
+}
+
+/**
+ * Get the thresholds that an amount has reached.
+ * @param {number} spent - Minor units
+ * @param {number} limit - Minor units; nothing is reached without a limit
+ * @param {Array<number>} thresholds - Percentages
+ * @returns {Array<number>}
+ */
+function getReachedThresholds(spent, limit, thresholds) {
+    if (!(limit > 0)) return [];
+    return thresholds.filter((threshold) => spent * 100 >= limit * threshold);
+}
+
+/**
+ * Find the alerts that have not fired yet. When several thresholds of the same
+ * scope are reached at once, only the highest is announced and all are fired.
+ * @param {Array<{ scope: string, spent: number, limit: number }>} checks -
+ *   scope is 'budget' for the target or the category name for a category limit
+ * @param {Array<number>} thresholds - Percentages
+ * @param {Array<string>} fired - Keys of alerts that already fired this period
+ * @returns {Array<{ scope: string, spent: number, limit: number, threshold: number, keys: Array<string> }>}
+ */
+function getNewAlerts(checks, thresholds, fired) {
+    const alerts = [];
+    checks.forEach((check) => {
+        const reached = getReachedThresholds(check.spent, check.limit, thresholds)
+            .filter((threshold) => !fired.includes(getAlertKey(check.scope, threshold)));
+        if (reached.length === 0) return;
+        alerts.push({
+            ...check,
+            threshold: reached[reached.length - 1],
+            keys: reached.map((threshold) => getAlertKey(check.scope, threshold))
+        });
+    });
+    return alerts;
+}
+
+/**
+ * Build the key under which a fired alert is remembered.
+ * @param {string} scope
+ * @param {number} threshold
+ * @returns {string}
+ */
+function getAlertKey(scope, threshold) {
+    return scope === 'budget' ? `budget:${threshold}` : `category:${scope}:${threshold}`;
+}
+
+/**
+ * Get the keys of a budget's alerts that already fired in a period.
+ * @param {number} budgetId
+ * @param {string} periodKey - From getPeriodKey
+ * @returns {Promise<Array<string>>}
+ */
+async function getFiredAlerts(budgetId, periodKey) {
+    const firedAlerts = (await getSetting('firedAlerts')) || {};
+    const entry = firedAlerts[budgetId];
+    return entry && entry.period === periodKey ? entry.keys : [];
+}
+
+/**
+ * Remember alerts as fired. A new period replaces the last period's keys.
+ * @param {number} budgetId
+ * @param {string} periodKey
+ * @param {Array<string>} keys
+ */
+async function addFiredAlerts(budgetId, periodKey, keys) {
+    const firedAlerts = (await getSetting('firedAlerts')) || {};
+    const entry = firedAlerts[budgetId];
+    const previous = entry && entry.period === periodKey ? entry.keys : [];
+    firedAlerts[budgetId] = { period: periodKey, keys: [...new Set([...previous, ...keys])] };
+    await setSetting('firedAlerts', firedAlerts);
+}
+
+/**
+ * Tell whether this browser can notify at all.
+ * @returns {boolean}
+ */
+function areAlertsSupported() {
+    return 'Notification' in window && 'serviceWorker' in navigator;
+}
+
+/**
+ * Tell whether alerts can be shown right now.
+ * @returns {boolean}
+ */
+function canShowAlerts() {
+    return areAlertsSupported() && Notification.permission === 'granted';
+}
+
+/**
+ * Ask for permission to notify, unless the user already answered.
+ * @returns {Promise<boolean>} Whether notifications are allowed
+ */
+async function requestAlertPermission() {
+    if (!areAlertsSupported()) return false;
+    if (Notification.permission === 'default') {
+        await Notification.requestPermission();
+    }
+    return Notification.permission === 'granted';
+}
+
+/**
+ * Show a notification through the service worker.
+ * @param {string} title
+ * @param {Object} options - NotificationOptions
+ */
+async function showAlertNotification(title, options) {
+    const registration = await navigator.serviceWorker.ready;
+    await registration.showNotification(title, { icon: 'icons/icon-192.png', ...options });
+}
@@ -12,31 +12,105 @@ const exportBtn = document.getElementById('export-btn');
 const editTargetBtn = document.getElementById('edit-target-btn');
 
 const monthLabel = document.getElementById('month-label');
+const prevMonthBtn = document.getElementById('prev-month-btn');
+const nextMonthBtn = document.getElementById('next-month-btn');
+const listHeading = document.getElementById('list-heading');
 const spentAmount = document.getElementById('spent-amount');
 const budgetStatus = document.getElementById('budget-status');
 const transactionList = document.getElementById('transaction-list');
 const emptyState = document.getElementById('empty-state');
+const tagFilterBar = document.getElementById('tag-filter-bar');
+const tagFilterSelect = document.getElementById('tag-filter');
+const tagFilterTotal = document.getElementById('tag-filter-total');
 const budgetWheel = document.getElementById('budget-wheel');
 const budgetUtilization = document.getElementById('budget-utilization');
+const forecastSummary = document.getElementById('forecast-summary');
+const cashFlow = document.getElementById('cash-flow');
+const committedSection = document.getElementById('committed-section');
+const committedToggle = document.getElementById('committed-toggle');
+const committedSummary = document.getElementById('committed-summary');
+const upcomingList = document.getElementById('upcoming-list');
 
 const amountValue = document.getElementById('amount-value');
+const amountCurrency = document.getElementById('amount-currency');
 const toggleKeyboardBtn = document.getElementById('toggle-keyboard-btn');
 const keyboardInput = document.getElementById('keyboard-input');
 const wheelPickerSection = document.getElementById('wheel-picker-section');
-const categoryBtns = document.querySelectorAll('.category-btn');
+const categoryGrid = document.getElementById('category-grid');
+const manageCategoriesBtn = document.getElementById('manage-categories-btn');
+const splitBtn = document.getElementById('split-btn');
+const splitSummary = document.getElementById('split-summary');
 
 const settingsModal = document.getElementById('settings-modal');
 const targetInput = document.getElementById('target-input');
+const currencySelect = document.getElementById('currency-select');
+const periodSelect = document.getElementById('period-select');
+const periodStartDayGroup = document.getElementById('period-start-day-group');
+const periodStartDayInput = document.getElementById('period-start-day-input');
+const periodAnchorGroup = document.getElementById('period-anchor-group');
+const periodAnchorInput = document.getElementById('period-anchor-input');
+const rolloverInput = document.getElementById('rollover-input');
+const rolloverCapGroup = document.getElementById('rollover-cap-group');
+const rolloverCapInput = document.getElementById('rollover-cap-input');
 const cancelSettingsBtn = document.getElementById('cancel-settings-btn');
+const allocationInputs = document.getElementById('allocation-inputs');
+const allocationTotal = document.getElementById('allocation-total');
+const alertThresholdsInput = document.getElementById('alert-thresholds-input');
+const alertCategoriesInput = document.getElementById('alert-categories-input');
+const alertHint = document.getElementById('alert-hint');
+
+// Category limit (envelope) elements
+const categoryLimitsSection = document.getElementById('category-limits');
+const categoryLimitList = document.getElementById('category-limit-list');
+const moveAllocationBtn = document.getElementById('move-allocation-btn');
+const moveAllocationModal = document.getElementById('move-allocation-modal');
+const moveFromSelect = document.getElementById('move-from-select');
+const moveToSelect = document.getElementById('move-to-select');
+const moveAmountInput = document.getElementById('move-amount-input');
+const moveUnusedHint = document.getElementById('move-unused-hint');
+const cancelMoveBtn = document.getElementById('cancel-move-btn');
+const confirmMoveBtn = document.getElementById('confirm-move-btn');
+
+const splitModal = document.getElementById('split-modal');
+const splitLinesList = document.getElementById('split-lines');
+const addSplitLineBtn = document.getElementById('add-split-line-btn');
+const splitRemaining = document.getElementById('split-remaining');
+const removeSplitBtn = document.getElementById('remove-split-btn');
+const cancelSplitBtn = document.getElementById('cancel-split-btn');
+const confirmSplitBtn = document.getElementById('confirm-split-btn');
 
 const exportModal = document.getElementById('export-modal');
 const exportRange = document.getElementById('export-range');
+const exportSplitMode = document.getElementById('export-split-mode');
+const exportSplitModeGroup = document.getElementById('export-split-mode-group');
+const exportBudgets = document.getElementById('export-budgets');
+const exportFormat = document.getElementById('export-format');
+const exportDelimiterGroup = document.getElementById('export-delimiter-group');
+const exportDelimiter = document.getElementById('export-delimiter');
+const exportColumnsGroup = document.getElementById('export-columns-group');
+const exportColumns = document.getElementById('export-columns');
 const exportDateRange = document.getElementById('export-date-range');
 const exportStartDate = document.getElementById('export-start-date');
 const exportEndDate = document.getElementById('export-end-date');
 const cancelExportBtn = document.getElementById('cancel-export-btn');
 const confirmExportBtn = document.getElementById('confirm-export-btn');
 const noteInput = document.getElementById('note-input');
+const tagChips = document.getElementById('tag-chips');
+const tagInput = document.getElementById('tag-input');
+const tagSuggestions = document.getElementById('tag-suggestions');
+const attachmentThumbs = document.getElementById('attachment-thumbs');
+const takePhotoBtn = document.getElementById('take-photo-btn');
+const choosePhotosBtn = document.getElementById('choose-photos-btn');
+const cameraInput = document.getElementById('camera-input');
+const photoInput = document.getElementById('photo-input');
+const attachmentViewer = document.getElementById('attachment-viewer');
+const attachmentViewerImg = document.getElementById('attachment-viewer-img');
+const monthOfferBtn = document.getElementById('month-offer-btn');
+const monthOfferLabel = document.getElementById('month-offer-label');
+const inputTitle = document.getElementById('input-title');
+const typeBtns = document.querySelectorAll('.type-btn');
+const dateInput = document.getElementById('date-input');
+const txBudgetSelect = document.getElementById('tx-budget-select');
 
 const clearModal = document.getElementById('clear-modal');
 const clearRange = document.getElementById('clear-range');
@@ -59,33 +133,327 @@ const deleteBudgetModal = document.getElementById('delete-budget-modal');
 const cancelDeleteBudgetBtn = document.getElementById('cancel-delete-budget-btn');
 const confirmDeleteBudgetBtn = document.getElementById('confirm-delete-budget-btn');
 
+// Category management elements
+const categoriesBackBtn = document.getElementById('categories-back-btn');
+const addCategoryBtn = document.getElementById('add-category-btn');
+const categoryManageList = document.getElementById('category-manage-list');
+const categoryModal = document.getElementById('category-modal');
+const categoryModalTitle = document.getElementById('category-modal-title');
+const categoryNameInput = document.getElementById('category-name-input');
+const categoryEmojiInput = document.getElementById('category-emoji-input');
+const categoryColorInput = document.getElementById('category-color-input');
+const categoryMergeGroup = document.getElementById('category-merge-group');
+const categoryMergeSelect = document.getElementById('category-merge-select');
+const deleteCategoryBtn = document.getElementById('delete-category-btn');
+const cancelCategoryBtn = document.getElementById('cancel-category-btn');
+const saveCategoryBtn = document.getElementById('save-category-btn');
+
+// Recurring elements
+const recurringBtn = document.getElementById('recurring-btn');
+const recurringBackBtn = document.getElementById('recurring-back-btn');
+const addRecurringBtn = document.getElementById('add-recurring-btn');
+const recurringList = document.getElementById('recurring-list');
+const recurringEmpty = document.getElementById('recurring-empty');
+const recurringModal = document.getElementById('recurring-modal');
+const recurringModalTitle = document.getElementById('recurring-modal-title');
+const recurringAmountInput = document.getElementById('recurring-amount-input');
+const recurringCategorySelect = document.getElementById('recurring-category-select');
+const recurringNoteInput = document.getElementById('recurring-note-input');
+const recurringFrequencySelect = document.getElementById('recurring-frequency-select');
+const recurringDayGroup = document.getElementById('recurring-day-group');
+const recurringDayInput = document.getElementById('recurring-day-input');
+const recurringStartInput = document.getElementById('recurring-start-input');
+const recurringEndInput = document.getElementById('recurring-end-input');
+const deleteRecurringBtn = document.getElementById('delete-recurring-btn');
+const cancelRecurringBtn = document.getElementById('cancel-recurring-btn');
+const saveRecurringBtn = document.getElementById('save-recurring-btn');
+
+// Trash elements
+const trashBtn = document.getElementById('trash-btn');
+const trashBackBtn = document.getElementById('trash-back-btn');
+const emptyTrashBtn = document.getElementById('empty-trash-btn');
+const trashRetention = document.getElementById('trash-retention');
+const trashList = document.getElementById('trash-list');
+const trashEmpty = document.getElementById('trash-empty');
+const snackbar = document.getElementById('snackbar');
+const snackbarMessage = document.getElementById('snackbar-message');
+const snackbarUndoBtn = document.getElementById('snackbar-undo-btn');
+const updateBanner = document.getElementById('update-banner');
+const updateReloadBtn = document.getElementById('update-reload-btn');
+
+// Search elements
+const searchBtn = document.getElementById('search-btn');
+const searchBackBtn = document.getElementById('search-back-btn');
+const searchExportBtn = document.getElementById('search-export-btn');
+const searchText = document.getElementById('search-text');
+const searchCategories = document.getElementById('search-categories');
+const searchMin = document.getElementById('search-min');
+const searchMax = document.getElementById('search-max');
+const searchFrom = document.getElementById('search-from');
+const searchTo = document.getElementById('search-to');
+const searchSort = document.getElementById('search-sort');
+const searchResetBtn = document.getElementById('search-reset-btn');
+const searchSummary = document.getElementById('search-summary');
+const searchResults = document.getElementById('search-results');
+const searchEmpty = document.getElementById('search-empty');
+
+// Reports elements
+const reportsBtn = document.getElementById('reports-btn');
+const reportsBackBtn = document.getElementById('reports-back-btn');
+const reportRange = document.getElementById('report-range');
+const reportChange = document.getElementById('report-change');
+const reportChart = document.getElementById('report-chart');
+const reportLegend = document.getElementById('report-legend');
+const reportTable = document.getElementById('report-table');
+const reportTableBody = document.getElementById('report-table-body');
+const reportTagTable = document.getElementById('report-tag-table');
+const reportTagTableBody = document.getElementById('report-tag-table-body');
+const reportEmpty = document.getElementById('report-empty');
+
+// All budgets overview elements
+const overviewBackBtn = document.getElementById('overview-back-btn');
+const overviewSummary = document.getElementById('overview-summary');
+const overviewBudgets = document.getElementById('overview-budgets');
+const overviewCategoryTable = document.getElementById('overview-category-table');
+const overviewCategoryBody = document.getElementById('overview-category-body');
+const overviewTransactions = document.getElementById('overview-transactions');
+const overviewEmpty = document.getElementById('overview-empty');
+
+// Backup elements
+const backupBtn = document.getElementById('backup-btn');
+const backupModal = document.getElementById('backup-modal');
+const downloadBackupBtn = document.getElementById('download-backup-btn');
+const restoreFile = document.getElementById('restore-file');
+const restoreOptions = document.getElementById('restore-options');
+const restoreSummary = document.getElementById('restore-summary');
+const restoreMode = document.getElementById('restore-mode');
+const restoreWarning = document.getElementById('restore-warning');
+const cancelBackupBtn = document.getElementById('cancel-backup-btn');
+const confirmRestoreBtn = document.getElementById('confirm-restore-btn');
+
+// Sync elements
+const syncBtn = document.getElementById('sync-btn');
+const syncModal = document.getElementById('sync-modal');
+const syncEndpointInput = document.getElementById('sync-endpoint-input');
+const syncStatus = document.getElementById('sync-status');
+const syncEncryptionWarning = document.getElementById('sync-encryption-warning');
+const disconnectSyncBtn = document.getElementById('disconnect-sync-btn');
+const cancelSyncBtn = document.getElementById('cancel-sync-btn');
+const confirmSyncBtn = document.getElementById('confirm-sync-btn');
+
+// Encryption elements
+const unlockForm = document.getElementById('unlock-form');
+const unlockInput = document.getElementById('unlock-input');
+const unlockError = document.getElementById('unlock-error');
+const securityBtn = document.getElementById('security-btn');
+const securityModal = document.getElementById('security-modal');
+const securityStatus = document.getElementById('security-status');
+const currentPassphraseGroup = document.getElementById('current-passphrase-group');
+const currentPassphraseInput = document.getElementById('current-passphrase-input');
+const newPassphraseInput = document.getElementById('new-passphrase-input');
+const repeatPassphraseInput = document.getElementById('repeat-passphrase-input');
+const autoLockGroup = document.getElementById('auto-lock-group');
+const autoLockSelect = document.getElementById('auto-lock-select');
+const disableEncryptionBtn = document.getElementById('disable-encryption-btn');
+const lockNowBtn = document.getElementById('lock-now-btn');
+const cancelSecurityBtn = document.getElementById('cancel-security-btn');
+const confirmSecurityBtn = document.getElementById('confirm-security-btn');
+const passphraseModal = document.getElementById('passphrase-modal');
+const passphraseMessage = document.getElementById('passphrase-message');
+const passphraseInput = document.getElementById('passphrase-input');
+const cancelPassphraseBtn = document.getElementById('cancel-passphrase-btn');
+
+// Import elements
+const importBtn = document.getElementById('import-btn');
+const importModal = document.getElementById('import-modal');
+const importFile = document.getElementById('import-file');
+const importOptions = document.getElementById('import-options');
+const importColumnSelects = {
+    amount: document.getElementById('import-amount-col'),
+    date: document.getElementById('import-date-col'),
+    category: document.getElementById('import-category-col'),
+    note: document.getElementById('import-note-col'),
+    tags: document.getElementById('import-tags-col'),
+    reference: document.getElementById('import-reference-col')
+};
+const importDateFormat = document.getElementById('import-date-format');
+const importExpenseSign = document.getElementById('import-expense-sign');
+const importCredits = document.getElementById('import-credits');
+const importDefaultCategory = document.getElementById('import-default-category');
+const importCategoryMapContainer = document.getElementById('import-category-map');
+const importSummary = document.getElementById('import-summary');
+const importPreviewTable = document.getElementById('import-preview-table');
+const cancelImportBtn = document.getElementById('cancel-import-btn');
+const confirmImportBtn = document.getElementById('confirm-import-btn');
+
 // State
 let currentAmount = 0;
 let selectedCategory = null;
+let selectedType = 'expense';
 let currentTransactions = [];
 let useKeyboard = false;
 let pendingDeleteTxId = null;
+let editingTransaction = null; // Transaction being edited in the input view
+let pendingSplits = null; // [{ category, amount }] in major units while the purchase is split
+let selectedTags = []; // Tags on the transaction in the input view
+let inputAttachments = []; // Receipt images in the input view; new ones have no id yet
+let removedAttachmentIds = []; // Saved attachments removed in the input view
+let tagFilter = ''; // Tag the dashboard list is filtered by, empty for all transactions
+let inputReturnView = 'dashboard-view'; // View to show when the input view closes
+let initialDateValue = ''; // Date input value when the form was opened
+let categories = []; // { id, name, emoji, color, order }
+let editingCategory = null;
+let upcomingBills = []; // { rule, timestamp } not yet due in the selected period
+let editingRule = null;
+
+// Budget period shown on the dashboard, from getPeriodBounds
+let selectedPeriod = null; // { start: Date, end: Date }
+let touchStartX = null;
+let touchStartY = null;
 
 // Multi-budget state
-let currentBudget = null; // { id, name, target, created }
+let currentBudget = null; // { id, name, target, currency, period, created, rollover, rolloverCap }
+let rolloverCarry = 0; // Amount carried into the selected period by a rollover budget
 let allBudgets = [];
 
+// Import state
+let importData = null; // { fields, rows } from the parsed file
+let importRows = [];
+let importExisting = [];
+let importCategoryChoices = {};
+let importToggled = new Set(); // Row indexes the user flipped away from the default
+let importRowCategories = new Map(); // Categories picked for single rows in the preview, by row index
+
+// Restore state
+let pendingBackup = null;
+
+// Sync state
+let syncError = null; // Message of the last failed sync, shown in the sync dialog
+
+// Encryption state
+let resolveUnlock = null; // Resolves the promise initApp waits on while the lock screen shows
+let autoLockMinutes = 0; // Minutes of inactivity before locking, 0 for never
+let autoLockTimer = null;
+let lastActivity = Date.now();
+
+// Search state
+let searchResultsList = []; // Transactions matching the current filter
+
+// Undo state
+let undoTrashId = null; // Trash entry the snackbar's Undo restores
+let snackbarTimer = null;
+
+// Budget alert state
+let alertCheck = Promise.resolve(); // The last alert check; the next one waits for it
+
+// App update state
+let waitingWorker = null; // Installed service worker of a new version, waiting to take over
+let updateRequested = false;
+
 // Wheel picker digit values
 const wheelDigits = {
     tens: 0,
     ones: 0
 };
 
-// Category colors for the wheel
-const categoryColors = {
-    Food: '#ff6b6b',
-    Gas: '#4ecdc4',
-    Utilities: '#ffe66d',
-    Misc: '#a29bfe',
-    Medical: '#f48fb1',
-    Drinks: '#ffab40'
+// Color for transactions whose category no longer exists
+const UNKNOWN_CATEGORY_COLOR = '#9e9e9e';
+
+// Minutes of inactivity before an encrypted app locks itself
+const DEFAULT_AUTO_LOCK_MINUTES = 5;
+
+// Shortest passphrase accepted when turning encryption on
+const MIN_PASSPHRASE_LENGTH = 8;
+
+// Days deleted items stay in the trash unless the user picks otherwise
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+// How long the Undo snackbar stays up after a delete
+const UNDO_SNACKBAR_MS = 6000;
+
+// Category given to income entries saved without one
+const INCOME_CATEGORY = 'Income';
+
+// Input view titles per transaction type
+const TYPE_TITLES = {
+    expense: 'Purchase',
+    income: 'Income',
+    refund: 'Refund'
 };
 
+/**
+ * Get the current budget's currency
+ */
+function getCurrency() {
+    return getBudgetCurrency(currentBudget);
+}
+
+/**
+ * Format minor units in the current budget's currency
+ */
+function formatAmount(minor, options) {
+    return formatMoney(minor, getCurrency(), options);
+}
+
+/**
+ * Get a transaction's type. Records from before income support are expenses.
+ */
+function getTransactionType(tx) {
+    return tx.type || 'expense';
+}
+
+/**
+ * Get how much a transaction adds to spending: refunds count against it and
+ * income does not count at all
+ */
+function getSpendingAmount(tx) {
+    const type = getTransactionType(tx);
+    if (type === 'income') return 0;
+    return type === 'refund' ? -tx.amount : tx.amount;
+}
+
+/**
+ * Get a transaction's net spending on each of its category lines (negative for
+ * refunds, none for income)
+ */
+function getSpendingLines(tx) {
+    const type = getTransactionType(tx);
+    if (type === 'income') return [];
+    const sign = type === 'refund' ? -1 : 1;
+    return getTransactionLines(tx).map((line) => ({ category: line.category, amount: sign * line.amount }));
+}
+
+/**
+ * Sum the net spending (expenses minus refunds) of transactions
+ */
+function getTotalSpent(transactions) {
+    return transactions.reduce((sum, tx) => sum + getSpendingAmount(tx), 0);
+}
+
+/**
+ * Sum the income of transactions
+ */
+function getTotalIncome(transactions) {
+    return transactions
+        .filter((tx) => getTransactionType(tx) === 'income')
+        .reduce((sum, tx) => sum + tx.amount, 0);
+}
+
+/**
+ * Get the names of all categories in display order
+ */
+function getCategoryNames() {
+    return categories.map((c) => c.name);
+}
+
+/**
+ * Get the wheel and chip color for a category name
+ */
+function getCategoryColor(name) {
+    const category = categories.find((c) => c.name === name);
+    return category ? category.color : UNKNOWN_CATEGORY_COLOR;
+}
+
 /**
  * Sanitize text input to prevent XSS and handle special characters
  */
@@ -103,6 +471,23 @@ function sanitizeText(text) {
 async function initApp() {
     await initDB();
 
+    // Encrypted records can only be read once the passphrase is entered
+    if (await loadEncryptionSettings()) {
+        await waitForUnlock();
+    }
+    autoLockMinutes = await getSetting('autoLockMinutes') ?? DEFAULT_AUTO_LOCK_MINUTES;
+    resetAutoLockTimer();
+
+    // Create transactions for recurring rules that came due since the last run
+    const createdRecurring = await materializeDueRecurring();
+
+    // Drop trash entries past the retention period
+    await purgeExpiredTrash();
+
+    // Load categories
+    categories = await getAllCategories();
+    renderCategoryButtons();
+
     // Load budgets
     allBudgets = await getAllBudgets();
 
@@ -120,29 +505,40 @@ async function initApp() {
 
     // If still no budget, prompt user (shouldn't happen after migration)
     if (!currentBudget) {
-        const newId = await createBudget('Personal Budget', 1000);
+        const newId = await createBudget('Personal Budget');
         currentBudget = await getBudget(newId);
         allBudgets = [currentBudget];
         await setSetting('currentBudgetId', currentBudget.id);
     }
 
-    // Populate budget selector
+    // Populate budget selector and currency choices
     renderBudgetSelector();
+    renderCurrencyOptions();
 
     // Set target input to current budget's target
-    targetInput.value = currentBudget.target;
+    targetInput.value = formatMoneyInput(currentBudget.target, getCurrency());
 
-    // Set month label
-    updateMonthLabel();
+    // Show the budget period containing today
+    selectedPeriod = getPeriodBounds(getPeriod(), new Date());
+    updatePeriodLabel();
 
-    // Load transactions for current month
-    await loadCurrentMonthTransactions();
+    // Load transactions for current period
+    await loadSelectedPeriodTransactions();
 
     // Initialize wheel pickers
     initWheelPickers();
 
     // Register service worker
     registerServiceWorker();
+
+    // Bills that came due may have crossed alert thresholds
+    if (createdRecurring > 0) {
+        checkBudgetAlerts(allBudgets.map((budget) => budget.id));
+    }
+
+    // Trade changes with the sync server now and every so often
+    runBackgroundSync();
+    setInterval(runBackgroundSync, SYNC_INTERVAL);
 }
 
 /**
@@ -161,6 +557,14 @@ function renderBudgetSelector() {
         budgetSelect.appendChild(option);
     });
 
+    // Combined view of every budget, once there is more than one
+    if (allBudgets.length > 1) {
+        const allOption = document.createElement('option');
+        allOption.value = '__all__';
+        allOption.textContent = 'All budgets';
+        budgetSelect.appendChild(allOption);
+    }
+
     // Add "New Budget" option
     const newOption = document.createElement('option');
     newOption.value = '__new__';
@@ -168,44 +572,332 @@ function renderBudgetSelector() {
     budgetSelect.appendChild(newOption);
 }
 
+/**
+ * Fill the currency picker in the budget settings
+ */
+function renderCurrencyOptions() {
+    currencySelect.innerHTML = '';
+    CURRENCIES.forEach((code) => {
+        const option = document.createElement('option');
+        option.value = code;
+        option.textContent = `${code} (${getCurrencySymbol(code)})`;
+        currencySelect.appendChild(option);
+    });
+}
+
 /**
  * Switch to a different budget
  */
 async function switchBudget(budgetId) {
     currentBudget = await getBudget(budgetId);
     await setSetting('currentBudgetId', budgetId);
-    targetInput.value = currentBudget.target;
-    await loadCurrentMonthTransactions();
+    targetInput.value = formatMoneyInput(currentBudget.target, getCurrency());
+    alignSelectedPeriod();
+    await loadSelectedPeriodTransactions();
+}
+
+/**
+ * Sync in the background and reload what's shown when other devices changed
+ * it. Failures only show in the sync dialog, since the app works offline.
+ */
+async function runBackgroundSync() {
+    // Nothing can be read or written before the app is unlocked
+    if (!navigator.onLine || !currentBudget) return;
+    try {
+        const applied = await syncNow();
+        syncError = null;
+        if (applied > 0) await reloadSyncedData();
+    } catch (error) {
+        syncError = error.message;
+    }
+    if (syncModal.open) await renderSyncStatus();
+}
+
+/**
+ * Reload categories, budgets and transactions after sync changed them
+ */
+async function reloadSyncedData() {
+    categories = await getAllCategories();
+    renderCategoryButtons();
+    allBudgets = await getAllBudgets();
+    currentBudget = allBudgets.find((budget) => budget.id === currentBudget.id) || allBudgets[0];
+    if (!currentBudget) {
+        // Every budget was deleted on another device; start over with a new one
+        location.reload();
+        return;
+    }
+    await setSetting('currentBudgetId', currentBudget.id);
+    renderBudgetSelector();
+    targetInput.value = formatMoneyInput(currentBudget.target, getCurrency());
+    alignSelectedPeriod();
+    await loadSelectedPeriodTransactions();
+}
+
+/**
+ * Show in the sync dialog whether this device syncs and how up to date it is
+ */
+async function renderSyncStatus() {
+    syncEncryptionWarning.classList.toggle('hidden', !isEncryptionEnabled());
+    const endpoint = await getSyncEndpoint();
+    if (endpoint) syncEndpointInput.value = endpoint;
+    syncEndpointInput.disabled = Boolean(endpoint);
+    disconnectSyncBtn.classList.toggle('hidden', !endpoint);
+    confirmSyncBtn.textContent = endpoint ? 'Sync Now' : 'Connect';
+    if (!endpoint) {
+        syncStatus.textContent = 'This device is not syncing.';
+        return;
+    }
+
+    const lastSync = await getSyncState('lastSync');
+    const pending = await countPendingChanges();
+    const parts = [];
+    if (!navigator.onLine) {
+        parts.push('Offline.');
+    } else if (syncError) {
+        parts.push(`Last sync failed: ${syncError}`);
+    }
+    parts.push(lastSync
+        ? `Last synced ${new Date(lastSync).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' })}.`
+        : 'Not synced yet.');
+    if (pending > 0) {
+        parts.push(`${pending} change${pending === 1 ? '' : 's'} waiting to be sent.`);
+    }
+    syncStatus.textContent = parts.join(' ');
+}
+
+/**
+ * Show the lock screen until the right passphrase is entered
+ * @returns {Promise<void>}
+ */
+function waitForUnlock() {
+    showView('lock-view');
+    unlockInput.focus();
+    return new Promise((resolve) => {
+        resolveUnlock = resolve;
+    });
+}
+
+/**
+ * Restart the inactivity countdown that locks an encrypted app
+ */
+function resetAutoLockTimer() {
+    lastActivity = Date.now();
+    clearTimeout(autoLockTimer);
+    if (!isEncryptionEnabled() || autoLockMinutes === 0) return;
+    autoLockTimer = setTimeout(lockApp, autoLockMinutes * 60 * 1000);
+}
+
+/**
+ * Check whether the app was left alone long enough to lock, for timers that
+ * didn't fire while the page was in the background
+ * @returns {boolean}
+ */
+function isAutoLockDue() {
+    return isEncryptionEnabled() && autoLockMinutes > 0
+        && Date.now() - lastActivity >= autoLockMinutes * 60 * 1000;
+}
+
+/**
+ * Forget the key and start over at the lock screen, dropping all decrypted data
+ */
+function lockApp() {
+    lockEncryption();
+    location.reload();
+}
+
+/**
+ * Show in the encryption dialog whether encryption is on, and the matching fields
+ */
+function renderSecurityStatus() {
+    const enabled = isEncryptionEnabled();
+    securityStatus.textContent = enabled
+        ? 'Encryption is on. Changing the passphrase encrypts all data again.'
+        : 'Encryption is off.';
+    currentPassphraseGroup.classList.toggle('hidden', !enabled);
+    autoLockGroup.classList.toggle('hidden', !enabled);
+    disableEncryptionBtn.classList.toggle('hidden', !enabled);
+    lockNowBtn.classList.toggle('hidden', !enabled);
+    confirmSecurityBtn.textContent = enabled ? 'Change Passphrase' : 'Turn On';
+    autoLockSelect.value = String(autoLockMinutes);
+    [currentPassphraseInput, newPassphraseInput, repeatPassphraseInput].forEach((input) => {
+        input.value = '';
+    });
+}
+
+/**
+ * Keep the encryption dialog from closing while the data is sealed again
+ * @param {boolean} busy
+ */
+function setSecurityBusy(busy) {
+    [confirmSecurityBtn, cancelSecurityBtn, disableEncryptionBtn, lockNowBtn].forEach((button) => {
+        button.disabled = busy;
+    });
+}
+
+/**
+ * Ask for a passphrase in a dialog
+ * @param {string} message - Why the passphrase is needed
+ * @returns {Promise<string|null>} The passphrase, or null when cancelled
+ */
+function askPassphrase(message) {
+    passphraseMessage.textContent = message;
+    passphraseInput.value = '';
+    passphraseModal.returnValue = '';
+    passphraseModal.showModal();
+    return new Promise((resolve) => {
+        passphraseModal.addEventListener('close', () => {
+            resolve(passphraseModal.returnValue === 'confirm' ? passphraseInput.value : null);
+        }, { once: true });
+    });
+}
+
+/**
+ * With encryption on, ask for the passphrase before data leaves the app unencrypted
+ * @param {string} [message] - What happens to the data
+ * @returns {Promise<boolean>} Whether the export may go ahead
+ */
+async function confirmExportPassphrase(message = 'Exported files are not encrypted. Enter your passphrase to export.') {
+    if (!isEncryptionEnabled()) return true;
+    const passphrase = await askPassphrase(message);
+    if (passphrase === null) return false;
+    if (await checkPassphrase(passphrase)) return true;
+    alert('Wrong passphrase.');
+    return false;
 }
 
 /**
  * Register the service worker
  */
 function registerServiceWorker() {
-    if ('serviceWorker' in navigator) {
-        navigator.serviceWorker.register('/sw.js').catch((err) => {
-            console.error('Service Worker registration failed:', err);
+    if (!('serviceWorker' in navigator)) return;
+
+    // Relative to the page, so the worker's scope follows wherever the app is hosted
+    navigator.serviceWorker.register('sw.js').then((registration) => {
+        if (registration.waiting && navigator.serviceWorker.controller) {
+            showUpdateBanner(registration.waiting);
+        }
+        registration.addEventListener('updatefound', () => {
+            const worker = registration.installing;
+            worker.addEventListener('statechange', () => {
+                // Without a controller this is the first install, not an update
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                    showUpdateBanner(worker);
+                }
+            });
         });
-    }
+    }).catch((err) => {
+        console.error('Service Worker registration failed:', err);
+    });
+
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (updateRequested) location.reload();
+    });
 }
 
 /**
- * Update month label
+ * Offer to switch to a new version of the app that finished installing
+ * @param {ServiceWorker} worker - The waiting service worker
  */
-function updateMonthLabel() {
-    const now = new Date();
-    const options = { month: 'long', year: 'numeric' };
-    monthLabel.textContent = now.toLocaleDateString('en-US', options);
+function showUpdateBanner(worker) {
+    waitingWorker = worker;
+    updateBanner.classList.remove('hidden');
+}
+
+/**
+ * Get the current budget's period definition
+ */
+function getPeriod() {
+    return getBudgetPeriod(currentBudget);
+}
+
+/**
+ * Check whether the dashboard is showing the period containing today
+ */
+function isViewingCurrentPeriod() {
+    return isInPeriod(selectedPeriod, new Date());
+}
+
+/**
+ * Recompute the selected period with the current budget's period definition,
+ * staying on today's period or on the one containing the old period's start
+ */
+function alignSelectedPeriod() {
+    const date = !selectedPeriod || isViewingCurrentPeriod() ? new Date() : selectedPeriod.start;
+    selectedPeriod = getPeriodBounds(getPeriod(), date);
+    updatePeriodLabel();
 }
 
 /**
- * Load transactions for the current month
+ * Get a timestamp inside the selected period, as far into it as today is into
+ * the current period, at today's time of day (clamped to the period's end)
  */
-async function loadCurrentMonthTransactions() {
+function getTimestampInSelectedPeriod() {
     const now = new Date();
-    currentTransactions = await getTransactionsByMonth(now.getFullYear(), now.getMonth(), currentBudget.id);
+    const current = getPeriodBounds(getPeriod(), now);
+    const days = Math.round((new Date(now.getFullYear(), now.getMonth(), now.getDate()) - current.start) / 86400000);
+    const start = selectedPeriod.start;
+    const date = new Date(
+        start.getFullYear(),
+        start.getMonth(),
+        start.getDate() + days,
+        now.getHours(),
+        now.getMinutes(),
+        now.getSeconds()
+    );
+    return Math.min(date.getTime(), selectedPeriod.end.getTime());
+}
+
+/**
+ * Format a timestamp for a datetime-local input (local time, minute precision)
+ */
+function toDateTimeLocalValue(timestamp) {
+    const date = new Date(timestamp);
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+        + `T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Update period label
+ */
+function updatePeriodLabel() {
+    const period = getPeriod();
+    monthLabel.textContent = formatPeriodLabel(period, selectedPeriod);
+    if (isViewingCurrentPeriod()) {
+        const noun = getPeriodNoun(period);
+        listHeading.textContent = `This ${noun[0].toUpperCase()}${noun.slice(1)}`;
+    } else if (isCalendarMonthPeriod(period)) {
+        listHeading.textContent = selectedPeriod.start.toLocaleDateString(undefined, { month: 'long' });
+    } else {
+        listHeading.textContent = formatPeriodLabel(period, selectedPeriod);
+    }
+}
+
+/**
+ * Move the dashboard by a number of periods (negative for earlier periods)
+ */
+async function changePeriod(delta) {
+    selectedPeriod = getAdjacentPeriodBounds(getPeriod(), selectedPeriod, delta);
+    updatePeriodLabel();
+    await loadSelectedPeriodTransactions();
+}
+
+/**
+ * Load transactions for the selected period
+ */
+async function loadSelectedPeriodTransactions() {
+    const { start, end } = selectedPeriod;
+    currentTransactions = await getTransactionsByDateRange(start, end, currentBudget.id);
+    rolloverCarry = await getRolloverCarry(currentBudget, selectedPeriod);
+
+    // Bills still to come in the selected period
+    const from = Math.max(start.getTime(), Date.now());
+    upcomingBills = from <= end.getTime() ? await getUpcomingRecurring(currentBudget.id, from, end.getTime()) : [];
+
     renderTransactionList();
     renderBudgetWheel();
+    renderCategoryLimits();
+    renderUpcomingBills();
 }
 
 /**
@@ -226,6 +918,7 @@ function closeAllTransactions() {
  */
 function renderTransactionList() {
     transactionList.innerHTML = '';
+    renderTagFilter();
 
     if (currentTransactions.length === 0) {
         emptyState.classList.remove('hidden');
@@ -235,21 +928,76 @@ function renderTransactionList() {
     emptyState.classList.add('hidden');
 
     // Sort by timestamp descending
-    const sorted = [...currentTransactions].sort((a, b) => b.timestamp - a.timestamp);
+    const shown = tagFilter
+        ? currentTransactions.filter((tx) => getTransactionTags(tx).includes(tagFilter))
+        : currentTransactions;
+    const sorted = [...shown].sort((a, b) => b.timestamp - a.timestamp);
 
     sorted.forEach((tx) => {
-        const li = document.createElement('li');
-        li.className = 'transaction-item';
-        li.dataset.id = tx.id;
+        transactionList.appendChild(createTransactionItem(tx));
+    });
+}
+
+/**
+ * Fill the dashboard tag filter with the tags used in the selected period and
+ * show the spending under the chosen tag
+ */
+function renderTagFilter() {
+    const tags = [...new Set(currentTransactions.flatMap(getTransactionTags))].sort();
+    if (!tags.includes(tagFilter)) tagFilter = '';
+    tagFilterBar.classList.toggle('hidden', tags.length === 0);
 
-        const date = new Date(tx.timestamp);
-        const dateStr = date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+    tagFilterSelect.innerHTML = '<option value="">All transactions</option>';
+    tags.forEach((tag) => {
+        const option = document.createElement('option');
+        option.value = tag;
+        option.textContent = `#${tag}`;
+        tagFilterSelect.appendChild(option);
+    });
+    tagFilterSelect.value = tagFilter;
 
-        const descriptionContent = tx.note
-            ? tx.note
-            : '<span class="tx-description-empty">Description: Empty</span>';
+    const tagged = currentTransactions.filter((tx) => getTransactionTags(tx).includes(tagFilter));
+    tagFilterTotal.textContent = tagFilter ? `${formatAmount(getTotalSpent(tagged))} spent` : '';
+}
 
-        li.innerHTML = `
+/**
+ * Build a transaction list item with its expand, edit and delete handlers
+ */
+function createTransactionItem(tx) {
+    const li = document.createElement('li');
+    li.className = 'transaction-item';
+    li.dataset.id = tx.id;
+
+    const date = new Date(tx.timestamp);
+    const dateStr = date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+
+    const type = getTransactionType(tx);
+    const amountPrefix = type === 'income' ? '+' : type === 'refund' ? '−' : '';
+    const amountClass = type === 'expense' ? '' : `tx-${type}`;
+
+    const descriptionContent = tx.note
+        ? tx.note
+        : '<span class="tx-description-empty">Description: Empty</span>';
+
+    const tags = getTransactionTags(tx);
+    const tagsContent = tags.length > 0 ? `<span class="tx-tags">${sanitizeText(formatTags(tags))}</span>` : '';
+
+    // Split purchases show one row with their lines listed when expanded
+    const split = isSplitTransaction(tx);
+    const categoryPill = split
+        ? `<span class="tx-category tx-category-split">Split · ${tx.splits.length}</span>`
+        : `<span class="tx-category" style="background: ${getCategoryColor(tx.category)}">${tx.category}</span>`;
+    const splitsContent = split
+        ? `<ul class="tx-splits">${tx.splits.map((line) => `
+            <li>
+              <span class="tx-split-swatch" style="background: ${getCategoryColor(line.category)}"></span>
+              <span class="tx-split-category">${sanitizeText(line.category)}</span>
+              <span>${amountPrefix}${formatAmount(line.amount)}</span>
+            </li>`).join('')}
+          </ul>`
+        : '';
+
+    li.innerHTML = `
       <div class="tx-main-row">
         <span class="tx-expand-icon" aria-hidden="true">
           <svg viewBox="0 0 24 24" fill="currentColor">
@@ -257,10 +1005,10 @@ function renderTransactionList() {
           </svg>
         </span>
         <div class="tx-info">
-          <span class="tx-category" style="background: ${categoryColors[tx.category]}">${tx.category}</span>
+          ${categoryPill}
           <span class="tx-date">${dateStr}</span>
         </div>
-        <span class="tx-amount">$${tx.amount.toFixed(2)}</span>
+        <span class="tx-amount ${amountClass}">${amountPrefix}${formatAmount(tx.amount)}</span>
         <button class="tx-delete-btn" aria-label="Delete transaction">
           <svg viewBox="0 0 24 24" fill="currentColor">
             <path d="M6 19c0 1.1.9 2 2 2h8c1.1 0 2-.9 2-2V7H6v12zM19 4h-3.5l-1-1h-5l-1 1H5v2h14V4z"/>
@@ -268,8 +1016,11 @@ function renderTransactionList() {
         </button>
       </div>
       <div class="tx-description">
-        <span class="tx-description-text">${descriptionContent}</span>
-        <button class="tx-edit-btn" aria-label="Edit description">
+        <div class="tx-description-text">
+          ${splitsContent}${tagsContent}${descriptionContent}
+          <div class="tx-attachments"></div>
+        </div>
+        <button class="tx-edit-btn" aria-label="Edit transaction">
           <svg viewBox="0 0 24 24" fill="currentColor">
             <path d="M3 17.25V21h3.75L17.81 9.94l-3.75-3.75L3 17.25zM20.71 7.04c.39-.39.39-1.02 0-1.41l-2.34-2.34c-.39-.39-1.02-.39-1.41 0l-1.83 1.83 3.75 3.75 1.83-1.83z"/>
           </svg>
@@ -277,106 +1028,449 @@ function renderTransactionList() {
       </div>
     `;
 
-        const expandIcon = li.querySelector('.tx-expand-icon');
-        const descriptionDiv = li.querySelector('.tx-description');
+    const expandIcon = li.querySelector('.tx-expand-icon');
+    const descriptionDiv = li.querySelector('.tx-description');
+    const attachmentsDiv = li.querySelector('.tx-attachments');
 
-        // Make entire transaction item clickable to expand/collapse
-        li.addEventListener('click', (e) => {
-            // Don't toggle if clicking the delete or edit buttons
-            if (e.target.closest('.tx-delete-btn') || e.target.closest('.tx-edit-btn')) return;
+    // Make entire transaction item clickable to expand/collapse
+    li.addEventListener('click', (e) => {
+        // Don't toggle if clicking the delete or edit buttons or a receipt
+        if (e.target.closest('.tx-delete-btn') || e.target.closest('.tx-edit-btn')
+            || e.target.closest('.attachment-thumb')) return;
 
-            const isCurrentlyExpanded = li.classList.contains('expanded');
+        const isCurrentlyExpanded = li.classList.contains('expanded');
 
-            // Close all other expanded transactions first
-            closeAllTransactions();
+        // Close all other expanded transactions first
+        closeAllTransactions();
 
-            // Toggle this one (if it was expanded, it's now closed; if it was closed, open it)
-            if (!isCurrentlyExpanded) {
-                li.classList.add('expanded');
-                expandIcon.classList.add('expanded');
-                descriptionDiv.classList.add('visible');
+        // Toggle this one (if it was expanded, it's now closed; if it was closed, open it)
+        if (!isCurrentlyExpanded) {
+            li.classList.add('expanded');
+            expandIcon.classList.add('expanded');
+            descriptionDiv.classList.add('visible');
+            // Receipts are only read from the database the first time the item opens
+            if (!attachmentsDiv.dataset.loaded) {
+                attachmentsDiv.dataset.loaded = 'true';
+                renderTransactionAttachments(tx.id, attachmentsDiv);
             }
-        });
+        }
+    });
 
-        // Delete button handler
-        const deleteBtn = li.querySelector('.tx-delete-btn');
-        deleteBtn.addEventListener('click', (e) => {
-            e.stopPropagation();
-            pendingDeleteTxId = tx.id;
-            deleteTxModal.showModal();
-        });
+    // Delete button handler
+    const deleteBtn = li.querySelector('.tx-delete-btn');
+    deleteBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        pendingDeleteTxId = tx.id;
+        deleteTxModal.showModal();
+    });
 
-        // Edit button handler
-        const editBtn = li.querySelector('.tx-edit-btn');
-        editBtn.addEventListener('click', async (e) => {
-            e.stopPropagation();
-            const newDescription = prompt('Edit description:', tx.note || '');
-            if (newDescription !== null) {
-                const sanitized = sanitizeText(newDescription);
-                await updateTransactionNote(tx.id, sanitized);
-                await loadCurrentMonthTransactions();
-            }
+    // Edit button handler
+    const editBtn = li.querySelector('.tx-edit-btn');
+    editBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        openTransactionEditor(tx);
+    });
+
+    return li;
+}
+
+/**
+ * Sum net spending per category (refunds reduce their category, income is left
+ * out, split lines count under their own categories)
+ */
+function getCategoryTotals(transactions) {
+    const totals = {};
+    transactions.forEach((tx) => {
+        getSpendingLines(tx).forEach((line) => {
+            totals[line.category] = (totals[line.category] || 0) + line.amount;
         });
+    });
+    return totals;
+}
+
+/**
+ * Get the key under which allocation moves for the selected period are stored
+ */
+function getSelectedPeriodKey() {
+    return getPeriodKey(getPeriod(), selectedPeriod);
+}
 
-        transactionList.appendChild(li);
+/**
+ * Get each category's spending limit for a budget period: the budget's
+ * allocations plus any moves made during that period
+ */
+function getBudgetCategoryLimits(budget, periodKey) {
+    const limits = { ...(budget.allocations || {}) };
+    const moves = (budget.allocationMoves || {})[periodKey] || {};
+    Object.entries(moves).forEach(([category, delta]) => {
+        limits[category] = (limits[category] || 0) + delta;
     });
+    return limits;
 }
 
 /**
- * Render the budget wheel visualization
+ * Get each category's spending limit for the selected period
  */
-function renderBudgetWheel() {
-    const monthlyTarget = currentBudget.target;
-    const totalSpent = currentTransactions.reduce((sum, tx) => sum + tx.amount, 0);
-    const percentage = Math.min((totalSpent / monthlyTarget) * 100, 100);
+function getCategoryLimits() {
+    return getBudgetCategoryLimits(currentBudget, getSelectedPeriodKey());
+}
 
-    // Update text displays
-    spentAmount.textContent = `$${totalSpent.toFixed(0)}`;
-    budgetStatus.textContent = `of $${monthlyTarget}`;
+/**
+ * Work out how much a rollover budget carries into a period: each earlier period's
+ * surplus (or deficit) against its own effective target, limited by the cap.
+ * History starts at the budget's first transaction or its creation, whichever is earlier.
+ * The earlier transactions are read once and walked through period by period.
+ * @returns {Promise<number>}
+ */
+async function getRolloverCarry(budget, bounds) {
+    if (!budget.rollover) return 0;
 
-    // Update budget utilization label
-    const utilizationPercent = monthlyTarget > 0 ? Math.round((totalSpent / monthlyTarget) * 100) : 0;
-    budgetUtilization.textContent = `You are at ${utilizationPercent}% budget utilization`;
+    const history = (await getTransactionsByDateRange(new Date(0), new Date(bounds.start.getTime() - 1), budget.id))
+        .sort((a, b) => a.timestamp - b.timestamp);
+    const created = new Date(budget.created || Date.now());
+    const start = history.length > 0 && history[0].timestamp < created.getTime() ? new Date(history[0].timestamp) : created;
+    const period = getBudgetPeriod(budget);
+    const cap = budget.rolloverCap;
 
-    // Clear SVG
-    budgetWheel.innerHTML = '';
+    let carry = 0;
+    let index = 0;
+    let cursor = getPeriodBounds(period, start);
+    while (cursor.start < bounds.start) {
+        let spent = 0;
+        while (index < history.length && history[index].timestamp <= cursor.end.getTime()) {
+            spent += getSpendingAmount(history[index]);
+            index++;
+        }
+        carry = budget.target + carry - spent;
+        if (cap !== null && cap !== undefined) {
+            carry = Math.max(-cap, Math.min(cap, carry));
+        }
+        cursor = getAdjacentPeriodBounds(period, cursor, 1);
+    }
 
-    const size = 200;
-    const cx = size / 2;
-    const cy = size / 2;
-    const radius = 80;
-    const strokeWidth = 20;
+    return Math.round(carry);
+}
 
-    // Background circle
-    const bgCircle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
-    bgCircle.setAttribute('cx', cx);
-    bgCircle.setAttribute('cy', cy);
-    bgCircle.setAttribute('r', radius);
-    bgCircle.setAttribute('fill', 'none');
-    bgCircle.setAttribute('stroke', '#2d2d44');
-    bgCircle.setAttribute('stroke-width', strokeWidth);
-    budgetWheel.appendChild(bgCircle);
+/**
+ * Get the selected period's target including any rolled over amount
+ */
+function getEffectiveTarget() {
+    return currentBudget.target + rolloverCarry;
+}
 
-    // Category segments
-    if (currentTransactions.length > 0) {
-        const categoryTotals = {};
-        currentTransactions.forEach((tx) => {
-            categoryTotals[tx.category] = (categoryTotals[tx.category] || 0) + tx.amount;
+/**
+ * Render each category's spending against its own limit
+ */
+function renderCategoryLimits() {
+    const limits = getCategoryLimits();
+    const totals = getCategoryTotals(currentTransactions);
+    categoryLimitList.innerHTML = '';
+
+    // Categories in display order first, then limits on categories that no longer exist
+    const names = getCategoryNames();
+    const limited = Object.keys(limits)
+        .filter((category) => limits[category] > 0 || totals[category] > 0)
+        .sort((a, b) => {
+            const ai = names.includes(a) ? names.indexOf(a) : names.length;
+            const bi = names.includes(b) ? names.indexOf(b) : names.length;
+            return ai - bi;
         });
 
-        // Ensure target is a number
-        const target = parseFloat(monthlyTarget) || 0;
+    if (limited.length === 0) {
+        categoryLimitsSection.classList.add('hidden');
+        return;
+    }
+    categoryLimitsSection.classList.remove('hidden');
 
-        let accumulatedLength = 0;
-        const circumference = 2 * Math.PI * radius;
+    limited.forEach((category) => {
+        const limit = limits[category];
+        const spent = totals[category] || 0;
+        const over = spent > limit;
+        const fill = limit > 0 ? Math.min((spent / limit) * 100, 100) : 100;
 
-        // Determine the denominator for normalization:
-        // - If under/at budget: use target (segments show % of target, ring may be partially filled)
-        // - If over budget: use totalSpent (segments show % of total, ring is completely filled)
-        const denominator = totalSpent > target ? totalSpent : target;
+        const li = document.createElement('li');
+        li.className = over ? 'category-limit-item over-limit' : 'category-limit-item';
 
-        Object.entries(categoryTotals).forEach(([category, amount]) => {
-            // Protect against divide by zero (though unlikely given logic)
+        let amounts = `${formatAmount(spent, { whole: true })} / ${formatAmount(limit, { whole: true })}`;
+        if (over) amounts += ` · ${formatAmount(spent - limit, { whole: true })} over`;
+
+        li.innerHTML = `
+      <div class="category-limit-header">
+        <span>${category}</span>
+        <span class="category-limit-amounts">${amounts}</span>
+      </div>
+      <div class="category-limit-bar">
+        <div class="category-limit-fill" style="width: ${fill}%; background: ${getCategoryColor(category)}"></div>
+      </div>
+    `;
+        categoryLimitList.appendChild(li);
+    });
+}
+
+/**
+ * Notify about alert thresholds that budgets reached in their current period.
+ * Call after saving transactions; each threshold fires once per period. Checks
+ * run one at a time, so overlapping calls can't announce a threshold twice,
+ * and failures are only logged, since alerts must not break saving.
+ * @param {Array<number>} budgetIds
+ * @returns {Promise<void>}
+ */
+function checkBudgetAlerts(budgetIds) {
+    alertCheck = alertCheck
+        .then(() => runBudgetAlertCheck(budgetIds))
+        .catch((err) => console.error('Budget alert check failed:', err));
+    return alertCheck;
+}
+
+/**
+ * Check budgets' alert thresholds and notify about newly reached ones
+ * @param {Array<number>} budgetIds
+ */
+async function runBudgetAlertCheck(budgetIds) {
+    if (!canShowAlerts()) return;
+
+    for (const budgetId of new Set(budgetIds)) {
+        const budget = await getBudget(budgetId);
+        const thresholds = budget ? budget.alertThresholds || [] : [];
+        if (thresholds.length === 0) continue;
+
+        const period = getBudgetPeriod(budget);
+        const bounds = getPeriodBounds(period, new Date());
+        const periodKey = getPeriodKey(period, bounds);
+        const transactions = await getTransactionsByDateRange(bounds.start, bounds.end, budget.id);
+        const target = budget.target + await getRolloverCarry(budget, bounds);
+
+        const checks = [{ scope: 'budget', spent: getTotalSpent(transactions), limit: target }];
+        if (budget.alertCategoryLimits) {
+            const totals = getCategoryTotals(transactions);
+            Object.entries(getBudgetCategoryLimits(budget, periodKey)).forEach(([category, limit]) => {
+                checks.push({ scope: category, spent: totals[category] || 0, limit });
+            });
+        }
+
+        const alerts = getNewAlerts(checks, thresholds, await getFiredAlerts(budget.id, periodKey));
+        if (alerts.length === 0) continue;
+        await addFiredAlerts(budget.id, periodKey, alerts.flatMap((alert) => alert.keys));
+
+        const currency = getBudgetCurrency(budget);
+        const noun = getPeriodNoun(period);
+        alerts.forEach((alert) => {
+            const name = alert.scope === 'budget' ? budget.name : `${budget.name} · ${alert.scope}`;
+            const of = alert.scope === 'budget' ? 'target' : 'limit';
+            const spent = formatMoney(alert.spent, currency, { whole: true });
+            const limit = formatMoney(alert.limit, currency, { whole: true });
+            // Not awaited: the service worker may still be installing
+            showAlertNotification(`${name}: ${alert.threshold}% of ${of} reached`, {
+                body: `${spent} of ${limit} spent this ${noun}.`,
+                tag: `budget-alert-${budget.id}-${alert.scope}`
+            }).catch((err) => console.error('Alert notification failed:', err));
+        });
+    }
+}
+
+/**
+ * Explain in the settings modal what alerts do, or why they can't be shown
+ */
+function renderAlertHint() {
+    if (!areAlertsSupported()) {
+        alertHint.textContent = 'This browser can\'t show notifications.';
+    } else if (Notification.permission === 'denied') {
+        alertHint.textContent = 'Notifications are blocked for this app in the browser settings.';
+    } else {
+        alertHint.textContent = 'Percentages of the target, e.g. 50, 75, 90, 100. Each notifies once per period.';
+    }
+}
+
+/**
+ * Fill the category limit inputs in the settings modal
+ */
+function renderAllocationInputs() {
+    allocationInputs.innerHTML = '';
+    const allocations = currentBudget.allocations || {};
+
+    categories.forEach((category) => {
+        const row = document.createElement('div');
+        row.className = 'allocation-row';
+
+        const label = document.createElement('label');
+        label.textContent = category.emoji ? `${category.emoji} ${category.name}` : category.name;
+
+        const input = document.createElement('input');
+        input.type = 'number';
+        input.inputMode = 'decimal';
+        input.step = '1';
+        input.min = '0';
+        input.placeholder = 'No limit';
+        input.dataset.category = category.name;
+        input.value = allocations[category.name] ? formatMoneyInput(allocations[category.name], getCurrency()) : '';
+        input.addEventListener('input', updateAllocationTotal);
+
+        row.appendChild(label);
+        row.appendChild(input);
+        allocationInputs.appendChild(row);
+    });
+
+    updateAllocationTotal();
+}
+
+/**
+ * Show how much of the target the category limits cover
+ */
+function updateAllocationTotal() {
+    let allocated = 0;
+    allocationInputs.querySelectorAll('input').forEach((input) => {
+        allocated += parseFloat(input.value) || 0;
+    });
+    const target = parseFloat(targetInput.value) || 0;
+    const currency = currencySelect.value;
+    allocationTotal.textContent = `Allocated ${formatMoney(toMinorUnits(allocated, currency), currency, { whole: true })} ` +
+        `of ${formatMoney(toMinorUnits(target, currency), currency, { whole: true })}`;
+    allocationTotal.classList.toggle('over-limit', allocated > target);
+}
+
+/**
+ * Show the period fields that apply to the chosen period type
+ */
+function updatePeriodFields() {
+    const type = periodSelect.value;
+    periodStartDayGroup.classList.toggle('hidden', type !== 'monthly');
+    periodAnchorGroup.classList.toggle('hidden', type !== 'weekly' && type !== 'biweekly');
+}
+
+/**
+ * Read the period definition from the settings modal
+ * @returns {Object} See getBudgetPeriod
+ */
+function getPeriodFromSettings() {
+    const type = periodSelect.value;
+    if (type === 'monthly') {
+        const startDay = Math.min(31, Math.max(1, parseInt(periodStartDayInput.value, 10) || 1));
+        return { type, startDay };
+    }
+    if (type === 'weekly' || type === 'biweekly') {
+        // Date inputs give "YYYY-MM-DD"; anchor on local midnight of that day
+        const [year, month, day] = periodAnchorInput.value.split('-').map(Number);
+        const anchor = year ? new Date(year, month - 1, day) : getPeriodBounds(getPeriod(), new Date()).start;
+        return { type, anchor: anchor.getTime() };
+    }
+    return { type };
+}
+
+/**
+ * Open the budget target and category limits modal
+ */
+function openSettingsModal() {
+    const currency = getCurrency();
+    currencySelect.value = currency;
+    const period = getPeriod();
+    periodSelect.value = period.type;
+    periodStartDayInput.value = period.startDay || 1;
+    periodAnchorInput.value = formatDateKey(period.anchor ? new Date(period.anchor) : selectedPeriod.start);
+    updatePeriodFields();
+    targetInput.value = formatMoneyInput(currentBudget.target, currency);
+    rolloverInput.checked = Boolean(currentBudget.rollover);
+    rolloverCapInput.value = typeof currentBudget.rolloverCap === 'number'
+        ? formatMoneyInput(currentBudget.rolloverCap, currency)
+        : '';
+    rolloverCapGroup.classList.toggle('hidden', !rolloverInput.checked);
+    renderAllocationInputs();
+    alertThresholdsInput.value = formatAlertThresholds(currentBudget.alertThresholds);
+    alertCategoriesInput.checked = Boolean(currentBudget.alertCategoryLimits);
+    renderAlertHint();
+    settingsModal.showModal();
+}
+
+/**
+ * Fill the "move from" hint with the unused amount of the chosen category
+ */
+function updateMoveUnusedHint() {
+    const limits = getCategoryLimits();
+    const totals = getCategoryTotals(currentTransactions);
+    const from = moveFromSelect.value;
+    const unused = Math.max(0, (limits[from] || 0) - (totals[from] || 0));
+    moveUnusedHint.textContent = `${formatAmount(unused)} unused in ${from} this ${getPeriodNoun(getPeriod())}`;
+    moveAmountInput.max = toMajorUnits(unused, getCurrency());
+    return unused;
+}
+
+/**
+ * Render the budget wheel visualization
+ */
+function renderBudgetWheel() {
+    const periodTarget = Math.max(0, getEffectiveTarget());
+    const totalSpent = getTotalSpent(currentTransactions);
+    const percentage = periodTarget > 0 ? Math.min((totalSpent / periodTarget) * 100, 100) : 100;
+
+    // Update text displays, with the breakdown when an amount rolled over
+    const whole = { whole: true };
+    spentAmount.textContent = formatAmount(totalSpent, whole);
+    if (rolloverCarry !== 0) {
+        const sign = rolloverCarry > 0 ? '+' : '−';
+        budgetStatus.textContent = `of ${formatAmount(periodTarget, whole)} ` +
+            `(${formatAmount(currentBudget.target, whole)} ${sign} ${formatAmount(Math.abs(rolloverCarry), whole)} carried)`;
+    } else {
+        budgetStatus.textContent = `of ${formatAmount(periodTarget, whole)}`;
+    }
+
+    // Update budget utilization label
+    const utilizationPercent = periodTarget > 0 ? Math.round((totalSpent / periodTarget) * 100) : 0;
+    budgetUtilization.textContent = `You are at ${utilizationPercent}% budget utilization`;
+
+    // Month-end projection, only while the period is still running
+    const forecast = isViewingCurrentPeriod() && periodTarget > 0
+        ? forecastPeriod(currentTransactions, selectedPeriod, periodTarget, getCommittedTotal())
+        : null;
+    renderForecastSummary(forecast, periodTarget);
+
+    // Net cash flow for the period (income minus net spending)
+    const totalIncome = getTotalIncome(currentTransactions);
+    if (totalIncome > 0) {
+        const net = totalIncome - totalSpent;
+        const sign = net >= 0 ? '+' : '−';
+        cashFlow.textContent = `Income ${formatAmount(totalIncome)} · Net cash flow ${sign}${formatAmount(Math.abs(net))}`;
+        cashFlow.classList.toggle('negative', net < 0);
+        cashFlow.classList.remove('hidden');
+    } else {
+        cashFlow.classList.add('hidden');
+    }
+
+    // Clear SVG
+    budgetWheel.innerHTML = '';
+
+    const size = 200;
+    const cx = size / 2;
+    const cy = size / 2;
+    const radius = 80;
+    const strokeWidth = 20;
+
+    // Background circle
+    const bgCircle = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+    bgCircle.setAttribute('cx', cx);
+    bgCircle.setAttribute('cy', cy);
+    bgCircle.setAttribute('r', radius);
+    bgCircle.setAttribute('fill', 'none');
+    bgCircle.setAttribute('stroke', '#2d2d44');
+    bgCircle.setAttribute('stroke-width', strokeWidth);
+    budgetWheel.appendChild(bgCircle);
+
+    // Ensure target is a number
+    const target = parseFloat(periodTarget) || 0;
+
+    let accumulatedLength = 0;
+    const circumference = 2 * Math.PI * radius;
+
+    // Determine the denominator for normalization:
+    // - If under/at budget: use target (segments show % of target, ring may be partially filled)
+    // - If over budget: use totalSpent (segments show % of total, ring is completely filled)
+    const denominator = totalSpent > target ? totalSpent : target;
+
+    // Category segments
+    if (currentTransactions.length > 0) {
+        const categoryTotals = getCategoryTotals(currentTransactions);
+
+        // Categories fully offset by refunds have nothing to draw
+        Object.entries(categoryTotals).filter(([, amount]) => amount > 0).forEach(([category, amount]) => {
+            // Protect against divide by zero (though unlikely given logic)
             const ratio = denominator > 0 ? (amount / denominator) : 0;
             const arcLength = ratio * circumference;
 
@@ -385,7 +1479,7 @@ function renderBudgetWheel() {
             path.setAttribute('cy', cy);
             path.setAttribute('r', radius);
             path.setAttribute('fill', 'none');
-            path.setAttribute('stroke', categoryColors[category]);
+            path.setAttribute('stroke', getCategoryColor(category));
             path.setAttribute('stroke-width', strokeWidth);
             path.setAttribute('stroke-dasharray', `${arcLength} ${circumference}`);
 
@@ -401,6 +1495,26 @@ function renderBudgetWheel() {
         });
     }
 
+    // Ghost arc from what is spent to where the period is projected to end
+    if (forecast && denominator > 0) {
+        const projectedLength = (Math.min(forecast.projected, denominator) / denominator) * circumference;
+        const ghostLength = projectedLength - accumulatedLength;
+        if (ghostLength > 0) {
+            const ghost = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
+            ghost.setAttribute('cx', cx);
+            ghost.setAttribute('cy', cy);
+            ghost.setAttribute('r', radius);
+            ghost.setAttribute('fill', 'none');
+            ghost.setAttribute('stroke', forecast.projected > target ? '#ff0000' : '#ffffff');
+            ghost.setAttribute('stroke-width', strokeWidth);
+            ghost.setAttribute('stroke-dasharray', `${ghostLength} ${circumference}`);
+            ghost.setAttribute('stroke-dashoffset', -accumulatedLength);
+            ghost.setAttribute('opacity', '0.25');
+            ghost.classList.add('forecast-arc');
+            budgetWheel.appendChild(ghost);
+        }
+    }
+
     // Status ring (green -> yellow -> red)
     let statusColor = '#00ff00'; // Bright Green
     if (percentage >= 75 && percentage < 100) {
@@ -421,157 +1535,1967 @@ function renderBudgetWheel() {
 }
 
 /**
- * Initialize wheel pickers
+ * Show the projected end-of-period spending and the amount safe to spend per day
+ * @param {Object|null} forecast - From forecastPeriod, null to hide
+ * @param {number} target
  */
-function initWheelPickers() {
-    const columns = document.querySelectorAll('.wheel-column');
+function renderForecastSummary(forecast, target) {
+    if (!forecast) {
+        forecastSummary.classList.add('hidden');
+        return;
+    }
 
-    columns.forEach((col) => {
-        const digit = col.dataset.digit;
-        const itemsContainer = col.querySelector('.wheel-items');
+    const whole = { whole: true };
+    const difference = forecast.projected - target;
+    let text = `Projected ${formatAmount(forecast.projected, whole)}`;
+    if (difference > 0) {
+        text += ` (over by ${formatAmount(difference, whole)})`;
+    } else if (difference < 0) {
+        text += ` (${formatAmount(-difference, whole)} under)`;
+    }
 
-        // Create number items (0-9)
-        for (let i = 0; i < 10; i++) {
-            const item = document.createElement('div');
-            item.className = 'wheel-item';
-            item.textContent = i;
-            item.dataset.value = i;
-            itemsContainer.appendChild(item);
-        }
+    const noun = getPeriodNoun(getPeriod());
+    if (forecast.safePerDay > 0) {
+        text += ` · Safe to spend ${formatAmount(forecast.safePerDay)} a day for the rest of the ${noun}`;
+    } else {
+        text += ` · Nothing left to spend for the rest of the ${noun}`;
+    }
 
-        // Add scroll snap behavior
-        col.addEventListener('scroll', () => {
-            const itemHeight = 50;
-            const scrollTop = col.scrollTop;
-            const selectedIndex = Math.round(scrollTop / itemHeight);
-            wheelDigits[digit] = Math.min(9, Math.max(0, selectedIndex));
-            updateAmountFromWheel();
+    forecastSummary.textContent = text;
+    forecastSummary.classList.toggle('over', difference > 0);
+    forecastSummary.classList.remove('hidden');
+}
+
+/**
+ * Sum the upcoming bills still due in the selected period
+ */
+function getCommittedTotal() {
+    return upcomingBills.reduce((sum, bill) => sum + bill.rule.amount, 0);
+}
+
+/**
+ * Render the committed amount and the list of upcoming bills
+ */
+function renderUpcomingBills() {
+    upcomingList.innerHTML = '';
+
+    if (upcomingBills.length === 0) {
+        committedSection.classList.add('hidden');
+        return;
+    }
+    committedSection.classList.remove('hidden');
+
+    const committed = getCommittedTotal();
+    committedSummary.textContent = `+ ${formatAmount(committed)} committed in ${upcomingBills.length} upcoming bill(s)`;
+
+    upcomingBills.forEach(({ rule, timestamp }) => {
+        const li = document.createElement('li');
+        li.className = 'upcoming-item';
+
+        const dateStr = new Date(timestamp).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+        li.innerHTML = `
+      <span class="tx-date">${dateStr}</span>
+      <span class="tx-category" style="background: ${getCategoryColor(rule.category)}">${rule.category}</span>
+      <span class="upcoming-note">${rule.note}</span>
+      <span class="tx-amount">${formatAmount(rule.amount)}</span>
+      <button class="btn-text" aria-label="Skip this occurrence">Skip</button>
+    `;
+
+        li.querySelector('.btn-text').addEventListener('click', async () => {
+            await updateRecurringRule(rule.id, { skipped: [...(rule.skipped || []), timestamp] });
+            await loadSelectedPeriodTransactions();
         });
 
-        // Set initial scroll position
-        col.scrollTop = 0;
+        upcomingList.appendChild(li);
     });
 }
 
 /**
- * Update amount from wheel digits
+ * Render the category chips in the search filters, keeping any selection
  */
-function updateAmountFromWheel() {
-    currentAmount = wheelDigits.tens * 10 + wheelDigits.ones;
-    amountValue.textContent = currentAmount;
+function renderSearchCategories() {
+    const selected = getSelectedSearchCategories();
+    searchCategories.innerHTML = '';
+
+    getCategoryNames().forEach((name) => {
+        const chip = document.createElement('button');
+        chip.type = 'button';
+        chip.className = 'search-category-chip';
+        chip.dataset.category = name;
+        chip.textContent = name;
+        const isSelected = selected.includes(name);
+        chip.classList.toggle('selected', isSelected);
+        chip.setAttribute('aria-pressed', isSelected);
+
+        chip.addEventListener('click', () => {
+            const nowSelected = !chip.classList.contains('selected');
+            chip.classList.toggle('selected', nowSelected);
+            chip.setAttribute('aria-pressed', nowSelected);
+            runSearch();
+        });
+
+        searchCategories.appendChild(chip);
+    });
 }
 
 /**
- * Reset input form
+ * Get the category names picked in the search filters
  */
-function resetInputForm() {
-    currentAmount = 0;
-    selectedCategory = null;
-    wheelDigits.tens = 0;
-    wheelDigits.ones = 0;
-    amountValue.textContent = '0';
-    keyboardInput.value = '';
-    noteInput.value = '';
+function getSelectedSearchCategories() {
+    return [...searchCategories.querySelectorAll('.search-category-chip.selected')].map((chip) => chip.dataset.category);
+}
 
-    // Reset wheel scroll positions
-    document.querySelectorAll('.wheel-column').forEach((col) => {
-        col.scrollTop = 0;
+/**
+ * Read the search filters from the form
+ */
+function getSearchFilter() {
+    const minAmount = parseFloat(searchMin.value);
+    const maxAmount = parseFloat(searchMax.value);
+    return {
+        text: searchText.value.trim(),
+        categories: getSelectedSearchCategories(),
+        minAmount: isNaN(minAmount) ? null : toMinorUnits(minAmount, getCurrency()),
+        maxAmount: isNaN(maxAmount) ? null : toMinorUnits(maxAmount, getCurrency()),
+        from: searchFrom.value ? new Date(`${searchFrom.value}T00:00`).getTime() : null,
+        to: searchTo.value ? new Date(`${searchTo.value}T23:59:59.999`).getTime() : null
+    };
+}
+
+/**
+ * Search every month of the current budget and render the matches with their totals
+ */
+async function runSearch() {
+    const transactions = await getAllTransactions(currentBudget.id);
+    searchResultsList = searchTransactions(transactions, getSearchFilter(), searchSort.value);
+
+    searchResults.innerHTML = '';
+    searchResultsList.forEach((tx) => {
+        const li = createTransactionItem(tx);
+
+        // Results span months, so show the year too
+        li.querySelector('.tx-date').textContent = new Date(tx.timestamp)
+            .toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
+        searchResults.appendChild(li);
+    });
+
+    searchEmpty.classList.toggle('hidden', searchResultsList.length > 0);
+    searchExportBtn.disabled = searchResultsList.length === 0;
+
+    const count = searchResultsList.length;
+    let summary = `${count} transaction${count === 1 ? '' : 's'} · ${formatAmount(getTotalSpent(searchResultsList))} spent`;
+    const income = getTotalIncome(searchResultsList);
+    if (income > 0) summary += ` · ${formatAmount(income)} income`;
+    searchSummary.textContent = summary;
+}
+
+/**
+ * Clear every search filter
+ */
+function resetSearchFilters() {
+    searchText.value = '';
+    searchMin.value = '';
+    searchMax.value = '';
+    searchFrom.value = '';
+    searchTo.value = '';
+    searchSort.value = 'date-desc';
+    searchCategories.querySelectorAll('.search-category-chip').forEach((chip) => {
+        chip.classList.remove('selected');
+        chip.setAttribute('aria-pressed', false);
+    });
+}
+
+/**
+ * Get how many days deleted items are kept (0 keeps them until the trash is emptied)
+ */
+async function getTrashRetentionDays() {
+    const days = await getSetting('trashRetentionDays');
+    return days ?? DEFAULT_TRASH_RETENTION_DAYS;
+}
+
+/**
+ * Permanently delete trash entries older than the retention period
+ */
+async function purgeExpiredTrash() {
+    const days = await getTrashRetentionDays();
+    if (days > 0) {
+        await purgeTrashBefore(Date.now() - days * 24 * 60 * 60 * 1000);
+    }
+}
+
+/**
+ * Describe a trash entry for the trash list
+ * @returns {{ title: string, detail: string }}
+ */
+function describeTrashEntry(entry) {
+    const deleted = new Date(entry.deletedAt).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+    const count = entry.transactions.length;
+    const countText = `${count} transaction${count === 1 ? '' : 's'}`;
+
+    if (entry.kind === 'budget') {
+        return {
+            title: `Budget: ${entry.budget ? entry.budget.name : 'Unknown'}`,
+            detail: `${countText} · deleted ${deleted}`
+        };
+    }
+    if (count === 1) {
+        const tx = entry.transactions[0];
+        const budget = allBudgets.find((b) => b.id === entry.budgetId);
+        const date = new Date(tx.timestamp).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
+        return {
+            title: `${formatMoney(tx.amount, getBudgetCurrency(budget))} · ${tx.category}${tx.note ? ` · ${tx.note}` : ''}`,
+            detail: `${date} · deleted ${deleted}`
+        };
+    }
+    return {
+        title: countText,
+        detail: `Deleted ${deleted}`
+    };
+}
+
+/**
+ * Render the trash screen
+ */
+async function renderTrashList() {
+    const entries = await getTrashEntries();
+    trashList.innerHTML = '';
+    trashEmpty.classList.toggle('hidden', entries.length > 0);
+    emptyTrashBtn.disabled = entries.length === 0;
+
+    entries.forEach((entry) => {
+        const { title, detail } = describeTrashEntry(entry);
+        const li = document.createElement('li');
+        li.className = 'trash-item';
+        li.innerHTML = `
+      <div class="trash-info">
+        <span class="trash-title">${sanitizeText(title)}</span>
+        <span class="trash-detail">${detail}</span>
+      </div>
+      <button type="button" class="btn-text trash-restore-btn">Restore</button>
+      <button type="button" class="btn-text btn-text-danger trash-purge-btn">Delete</button>
+    `;
+
+        li.querySelector('.trash-restore-btn').addEventListener('click', async () => {
+            await restoreFromTrash(entry.id);
+            await renderTrashList();
+        });
+
+        li.querySelector('.trash-purge-btn').addEventListener('click', async () => {
+            if (!confirm('Permanently delete this item? This cannot be undone.')) return;
+            await purgeTrashEntry(entry.id);
+            await renderTrashList();
+        });
+
+        trashList.appendChild(li);
+    });
+}
+
+/**
+ * Restore a trash entry and refresh whatever shows its records
+ */
+async function restoreFromTrash(trashId) {
+    let entry;
+    try {
+        entry = await restoreTrashEntry(trashId);
+    } catch (error) {
+        alert(error.message);
+        return;
+    }
+
+    allBudgets = await getAllBudgets();
+    if (entry.kind === 'budget') {
+        await switchBudget(entry.budgetId);
+    } else {
+        await loadSelectedPeriodTransactions();
+    }
+    renderBudgetSelector();
+
+    if (document.getElementById('search-view').classList.contains('active')) {
+        await runSearch();
+    }
+}
+
+/**
+ * Show a snackbar offering to undo a delete for a few seconds
+ */
+function showUndoSnackbar(message, trashId) {
+    clearTimeout(snackbarTimer);
+    undoTrashId = trashId;
+    snackbarMessage.textContent = message;
+    snackbar.classList.remove('hidden');
+    snackbarTimer = setTimeout(hideSnackbar, UNDO_SNACKBAR_MS);
+}
+
+/**
+ * Hide the undo snackbar
+ */
+function hideSnackbar() {
+    clearTimeout(snackbarTimer);
+    undoTrashId = null;
+    snackbar.classList.add('hidden');
+}
+
+/**
+ * Format a percentage change as "+12%" or "−8%"
+ */
+function formatPercentChange(change) {
+    const sign = change >= 0 ? '+' : '−';
+    return `${sign}${Math.abs(Math.round(change))}%`;
+}
+
+/**
+ * Render the reports screen for the periods leading up to the selected period
+ */
+async function renderReports() {
+    const period = getPeriod();
+    const noun = getPeriodNoun(period);
+    Array.from(reportRange.options).forEach((option) => {
+        option.textContent = `${option.value} ${noun}s`;
+    });
+
+    const periods = getPeriodsEndingWith(period, selectedPeriod, parseInt(reportRange.value, 10));
+    const transactions = await getTransactionsByDateRange(periods[0].start, selectedPeriod.end, currentBudget.id);
+    const report = buildPeriodReport(transactions, periods);
+    const stats = getCategoryStats(report);
+
+    const hasSpending = report.some((entry) => entry.total > 0);
+    reportEmpty.classList.toggle('hidden', hasSpending);
+    reportTable.classList.toggle('hidden', !hasSpending);
+
+    // Change from the previous period to the selected one
+    const last = report[report.length - 1];
+    const previous = report[report.length - 2];
+    const lastName = formatPeriodLabel(period, last);
+    const previousName = formatPeriodLabel(period, previous);
+    const change = getPercentChange(previous.total, last.total);
+    reportChange.textContent = change === null
+        ? `No spending in ${previousName} to compare ${lastName} with.`
+        : `${lastName} spending is ${change >= 0 ? 'up' : 'down'} ${Math.abs(Math.round(change))}% on ${previousName} ` +
+            `(${formatAmount(last.total)} vs ${formatAmount(previous.total)}).`;
+
+    // Categories in display order, then any that no longer exist
+    const names = getCategoryNames();
+    const chartCategories = stats.map((s) => s.category).sort((a, b) => {
+        const ai = names.includes(a) ? names.indexOf(a) : names.length;
+        const bi = names.includes(b) ? names.indexOf(b) : names.length;
+        return ai - bi;
+    });
+
+    renderReportChart(report, chartCategories);
+
+    reportLegend.innerHTML = chartCategories.map((category) => `
+      <span class="report-legend-item">
+        <span class="report-legend-swatch" style="background: ${getCategoryColor(category)}"></span>
+        ${sanitizeText(category)}
+      </span>
+    `).join('');
+
+    // Tag totals over the whole range
+    const tagReport = buildTagReport(transactions);
+    reportTagTable.classList.toggle('hidden', tagReport.length === 0);
+    reportTagTableBody.innerHTML = tagReport.map((entry) => `
+      <tr>
+        <td>#${sanitizeText(entry.tag)}</td>
+        <td>${entry.count}</td>
+        <td>${formatAmount(entry.total)}</td>
+      </tr>
+    `).join('');
+
+    reportTableBody.innerHTML = stats.map((s) => {
+        const changeClass = s.change === null ? '' : s.change > 0 ? 'report-change-up' : 'report-change-down';
+        return `
+      <tr>
+        <td>${sanitizeText(s.category)}</td>
+        <td>${formatAmount(s.average, { whole: true })}</td>
+        <td>${formatAmount(s.min, { whole: true })}</td>
+        <td>${formatAmount(s.max, { whole: true })}</td>
+        <td class="${changeClass}">${s.change === null ? '—' : formatPercentChange(s.change)}</td>
+      </tr>
+    `;
+    }).join('');
+}
+
+/**
+ * Draw the stacked per-period bars and the budget target line. Tapping a bar
+ * opens that period on the dashboard.
+ */
+function renderReportChart(report, chartCategories) {
+    const svgNS = 'http://www.w3.org/2000/svg';
+    const width = 320;
+    const height = 200;
+    const top = 12;
+    const bottom = 20;
+    const left = 8;
+    const right = 8;
+    const plotHeight = height - top - bottom;
+    const slot = (width - left - right) / report.length;
+    const barWidth = slot * 0.7;
+
+    const target = currentBudget.target;
+    const maxValue = Math.max(target, ...report.map((entry) => entry.total)) || 1;
+    const scale = plotHeight / (maxValue * 1.1);
+
+    reportChart.innerHTML = '';
+
+    report.forEach((entry, i) => {
+        const x = left + slot * i + (slot - barWidth) / 2;
+        const group = document.createElementNS(svgNS, 'g');
+        group.setAttribute('class', 'report-bar');
+
+        // Full-height hit area so short bars are easy to tap
+        const hitArea = document.createElementNS(svgNS, 'rect');
+        hitArea.setAttribute('x', left + slot * i);
+        hitArea.setAttribute('y', top);
+        hitArea.setAttribute('width', slot);
+        hitArea.setAttribute('height', plotHeight);
+        hitArea.setAttribute('fill', 'transparent');
+        group.appendChild(hitArea);
+
+        let y = top + plotHeight;
+        chartCategories.forEach((category) => {
+            const amount = entry.totals[category] || 0;
+            if (amount <= 0) return;
+            const barHeight = amount * scale;
+            y -= barHeight;
+
+            const rect = document.createElementNS(svgNS, 'rect');
+            rect.setAttribute('x', x);
+            rect.setAttribute('y', y);
+            rect.setAttribute('width', barWidth);
+            rect.setAttribute('height', barHeight);
+            rect.setAttribute('fill', getCategoryColor(category));
+            group.appendChild(rect);
+        });
+
+        const title = document.createElementNS(svgNS, 'title');
+        title.textContent = `${formatPeriodLabel(getPeriod(), entry)}: ${formatAmount(entry.total)}`;
+        group.appendChild(title);
+
+        // Label every period, or every other period on long ranges
+        if (report.length <= 12 || i % 2 === report.length % 2) {
+            const label = document.createElementNS(svgNS, 'text');
+            label.setAttribute('x', left + slot * i + slot / 2);
+            label.setAttribute('y', height - 6);
+            label.setAttribute('text-anchor', 'middle');
+            label.textContent = formatPeriodLabel(getPeriod(), entry, { short: true });
+            group.appendChild(label);
+        }
+
+        group.addEventListener('click', async () => {
+            selectedPeriod = { start: entry.start, end: entry.end };
+            updatePeriodLabel();
+            await loadSelectedPeriodTransactions();
+            showView('dashboard-view');
+        });
+
+        reportChart.appendChild(group);
+    });
+
+    // Budget target line
+    if (target > 0) {
+        const targetY = top + plotHeight - target * scale;
+        const line = document.createElementNS(svgNS, 'line');
+        line.setAttribute('x1', left);
+        line.setAttribute('x2', width - right);
+        line.setAttribute('y1', targetY);
+        line.setAttribute('y2', targetY);
+        line.setAttribute('stroke', '#ffffff');
+        line.setAttribute('stroke-opacity', '0.6');
+        line.setAttribute('stroke-dasharray', '4 3');
+        line.setAttribute('pointer-events', 'none');
+        reportChart.appendChild(line);
+
+        const label = document.createElementNS(svgNS, 'text');
+        label.setAttribute('x', width - right);
+        label.setAttribute('y', targetY - 3);
+        label.setAttribute('text-anchor', 'end');
+        label.setAttribute('pointer-events', 'none');
+        label.textContent = `Target ${formatAmount(target, { whole: true })}`;
+        reportChart.appendChild(label);
+    }
+}
+
+/**
+ * Render the all budgets overview: every budget's current period against its
+ * target, the combined spending per category and all transactions together.
+ * Tapping a budget opens it on the dashboard.
+ */
+async function renderOverview() {
+    const now = new Date();
+    const entries = [];
+    for (const budget of allBudgets) {
+        const bounds = getPeriodBounds(getBudgetPeriod(budget), now);
+        entries.push({
+            budget,
+            bounds,
+            target: budget.target + await getRolloverCarry(budget, bounds),
+            transactions: await getTransactionsByDateRange(bounds.start, bounds.end, budget.id)
+        });
+    }
+    const overview = buildOverview(entries);
+    const whole = { whole: true };
+
+    overviewSummary.textContent = `${formatCurrencyTotals(overview.spent, whole)} of ` +
+        `${formatCurrencyTotals(overview.targets, whole)} spent across ${allBudgets.length} budgets this period.`;
+
+    // Each budget against its own target
+    overviewBudgets.innerHTML = '';
+    overview.budgets.forEach(({ budget, bounds, target, spent }) => {
+        const currency = getBudgetCurrency(budget);
+        const over = spent > target;
+        const fill = target > 0 ? Math.min((spent / target) * 100, 100) : 100;
+
+        let amounts = `${formatMoney(spent, currency, whole)} / ${formatMoney(Math.max(0, target), currency, whole)}`;
+        if (over) amounts += ` · ${formatMoney(spent - target, currency, whole)} over`;
+
+        const li = document.createElement('li');
+        li.className = over ? 'category-limit-item over-limit' : 'category-limit-item';
+        li.innerHTML = `
+      <button class="overview-budget">
+        <div class="category-limit-header">
+          <span>${budget.name} <span class="overview-period">${formatPeriodLabel(getBudgetPeriod(budget), bounds)}</span></span>
+          <span class="category-limit-amounts">${amounts}</span>
+        </div>
+        <div class="category-limit-bar">
+          <div class="category-limit-fill" style="width: ${fill}%; background: var(--accent-primary)"></div>
+        </div>
+      </button>
+    `;
+
+        const openButton = li.querySelector('.overview-budget');
+        openButton.setAttribute('aria-label', `Open ${budget.name}`);
+        openButton.addEventListener('click', async () => {
+            await switchBudget(budget.id);
+            renderBudgetSelector();
+            showView('dashboard-view');
+        });
+
+        overviewBudgets.appendChild(li);
+    });
+
+    // Combined category breakdown in display order, then any that no longer exist
+    const names = getCategoryNames();
+    const categoryRows = overview.categories.sort((a, b) => {
+        const ai = names.includes(a.category) ? names.indexOf(a.category) : names.length;
+        const bi = names.includes(b.category) ? names.indexOf(b.category) : names.length;
+        return ai - bi;
+    });
+    overviewCategoryTable.classList.toggle('hidden', categoryRows.length === 0);
+    overviewCategoryBody.innerHTML = categoryRows.map((row) => `
+      <tr>
+        <td>
+          <span class="report-legend-swatch" style="background: ${getCategoryColor(row.category)}"></span>
+          ${sanitizeText(row.category)}
+        </td>
+        <td>${formatCurrencyTotals(row.totals, whole)}</td>
+      </tr>
+    `).join('');
+
+    // Every budget's transactions, newest first, labelled by budget
+    overviewTransactions.innerHTML = '';
+    overview.transactions.forEach(({ tx, budget }) => {
+        const type = getTransactionType(tx);
+        const amountPrefix = type === 'income' ? '+' : type === 'refund' ? '−' : '';
+        const amountClass = type === 'expense' ? '' : `tx-${type}`;
+        const categoryPill = isSplitTransaction(tx)
+            ? `<span class="tx-category tx-category-split">Split · ${tx.splits.length}</span>`
+            : `<span class="tx-category" style="background: ${getCategoryColor(tx.category)}">${tx.category}</span>`;
+        const dateStr = new Date(tx.timestamp).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+
+        const li = document.createElement('li');
+        li.className = 'upcoming-item';
+        li.innerHTML = `
+      <span class="tx-date">${dateStr}</span>
+      <span class="overview-budget-label">${budget.name}</span>
+      ${categoryPill}
+      <span class="upcoming-note">${tx.note || ''}</span>
+      <span class="tx-amount ${amountClass}">${amountPrefix}${formatMoney(tx.amount, getBudgetCurrency(budget))}</span>
+    `;
+        overviewTransactions.appendChild(li);
+    });
+    overviewEmpty.classList.toggle('hidden', overview.transactions.length > 0);
+}
+
+/**
+ * Render the list on the recurring screen
+ */
+async function renderRecurringList() {
+    const rules = await getAllRecurringRules(currentBudget.id);
+    recurringList.innerHTML = '';
+    recurringEmpty.classList.toggle('hidden', rules.length > 0);
+
+    rules.forEach((rule) => {
+        const li = document.createElement('li');
+        li.className = 'recurring-item';
+
+        let schedule = describeRecurringRule(rule);
+        if (rule.endDate) {
+            schedule += `, until ${new Date(rule.endDate).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' })}`;
+        }
+
+        li.innerHTML = `
+      <span class="tx-category" style="background: ${getCategoryColor(rule.category)}">${rule.category}</span>
+      <div class="recurring-info">
+        <span>${rule.note || rule.category}</span>
+        <span class="recurring-schedule">${schedule}</span>
+      </div>
+      <span class="tx-amount">${formatAmount(rule.amount)}</span>
+    `;
+        li.addEventListener('click', () => openRecurringModal(rule));
+
+        recurringList.appendChild(li);
+    });
+}
+
+/**
+ * Format a timestamp for a date input (local date)
+ */
+function toDateInputValue(timestamp) {
+    return toDateTimeLocalValue(timestamp).split('T')[0];
+}
+
+/**
+ * Open the recurring modal to add a new rule or edit an existing one
+ */
+function openRecurringModal(rule) {
+    editingRule = rule;
+    recurringModalTitle.textContent = rule ? 'Edit Recurring' : 'New Recurring';
+
+    recurringCategorySelect.innerHTML = '';
+    getCategoryNames().forEach((name) => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        recurringCategorySelect.appendChild(option);
+    });
+
+    const start = rule ? rule.startDate : Date.now();
+    recurringAmountInput.value = rule ? formatMoneyInput(rule.amount, getCurrency()) : '';
+    recurringCategorySelect.value = rule ? rule.category : getCategoryNames()[0];
+    recurringNoteInput.value = rule ? rule.note : '';
+    recurringFrequencySelect.value = rule ? rule.frequency : 'monthly';
+    recurringDayInput.value = rule && rule.dayOfMonth ? rule.dayOfMonth : new Date(start).getDate();
+    recurringStartInput.value = toDateInputValue(start);
+    recurringEndInput.value = rule && rule.endDate ? toDateInputValue(rule.endDate) : '';
+
+    recurringDayGroup.classList.toggle('hidden', recurringFrequencySelect.value !== 'monthly');
+    deleteRecurringBtn.classList.toggle('hidden', !rule);
+    recurringModal.showModal();
+}
+
+/**
+ * Initialize wheel pickers
+ */
+function initWheelPickers() {
+    const columns = document.querySelectorAll('.wheel-column');
+
+    columns.forEach((col) => {
+        const digit = col.dataset.digit;
+        const itemsContainer = col.querySelector('.wheel-items');
+
+        // Create number items (0-9)
+        for (let i = 0; i < 10; i++) {
+            const item = document.createElement('div');
+            item.className = 'wheel-item';
+            item.textContent = i;
+            item.dataset.value = i;
+            itemsContainer.appendChild(item);
+        }
+
+        // Add scroll snap behavior
+        col.addEventListener('scroll', () => {
+            const itemHeight = 50;
+            const scrollTop = col.scrollTop;
+            const selectedIndex = Math.round(scrollTop / itemHeight);
+            wheelDigits[digit] = Math.min(9, Math.max(0, selectedIndex));
+            updateAmountFromWheel();
+        });
+
+        // Set initial scroll position
+        col.scrollTop = 0;
+    });
+}
+
+/**
+ * Update amount from wheel digits
+ */
+function updateAmountFromWheel() {
+    currentAmount = wheelDigits.tens * 10 + wheelDigits.ones;
+    amountValue.textContent = currentAmount;
+}
+
+/**
+ * Reset input form
+ */
+function resetInputForm() {
+    currentAmount = 0;
+    selectedCategory = null;
+    wheelDigits.tens = 0;
+    wheelDigits.ones = 0;
+    amountValue.textContent = '0';
+    keyboardInput.value = '';
+    noteInput.value = '';
+
+    // Reset wheel scroll positions
+    document.querySelectorAll('.wheel-column').forEach((col) => {
+        col.scrollTop = 0;
+    });
+
+    // Reset tags
+    selectedTags = [];
+    tagInput.value = '';
+    renderTagChips();
+    refreshTagSuggestions();
+
+    // Reset receipts
+    inputAttachments = [];
+    removedAttachmentIds = [];
+    renderInputAttachments();
+
+    // Reset category selection and splits
+    categoryGrid.querySelectorAll('.category-btn').forEach((btn) => btn.classList.remove('selected'));
+    pendingSplits = null;
+    updateSplitSummary();
+
+    // Reset to wheel input
+    setKeyboardMode(false);
+
+    // Reset edit state, type, date and budget
+    editingTransaction = null;
+    setTransactionType('expense');
+    monthOfferBtn.classList.add('hidden');
+    dateInput.value = toDateTimeLocalValue(Date.now());
+    initialDateValue = dateInput.value;
+    renderTxBudgetOptions();
+    txBudgetSelect.value = currentBudget.id;
+    updateInputCurrency();
+}
+
+/**
+ * Get the currency of the budget picked in the input view
+ */
+function getInputCurrency() {
+    const budgetId = parseInt(txBudgetSelect.value, 10);
+    return getBudgetCurrency(allBudgets.find((budget) => budget.id === budgetId));
+}
+
+/**
+ * Show the picked budget's currency symbol and minor units in the amount entry
+ */
+function updateInputCurrency() {
+    const currency = getInputCurrency();
+    const digits = getMinorUnitDigits(currency);
+    amountCurrency.textContent = getCurrencySymbol(currency);
+    keyboardInput.step = String(10 ** -digits);
+    if (useKeyboard) {
+        amountValue.textContent = currentAmount.toFixed(digits);
+    }
+}
+
+/**
+ * Select the transaction type in the input view
+ */
+function setTransactionType(type) {
+    selectedType = type;
+    typeBtns.forEach((btn) => btn.classList.toggle('selected', btn.dataset.type === type));
+    inputTitle.textContent = `${editingTransaction ? 'Edit' : 'Add'} ${TYPE_TITLES[type]}`;
+
+    // Income isn't spent in categories, so it can't be split
+    splitBtn.classList.toggle('hidden', type === 'income');
+    if (type === 'income' && pendingSplits) {
+        pendingSplits = null;
+        updateSplitSummary();
+    }
+}
+
+/**
+ * Render the tag chips in the input view, in front of the tag input
+ */
+function renderTagChips() {
+    tagChips.querySelectorAll('.tag-chip').forEach((chip) => chip.remove());
+    selectedTags.forEach((tag) => {
+        const chip = document.createElement('span');
+        chip.className = 'tag-chip';
+        chip.textContent = `#${tag}`;
+
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.setAttribute('aria-label', `Remove tag ${tag}`);
+        removeBtn.textContent = '×';
+        removeBtn.addEventListener('click', () => {
+            selectedTags = selectedTags.filter((t) => t !== tag);
+            renderTagChips();
+        });
+
+        chip.appendChild(removeBtn);
+        tagChips.insertBefore(chip, tagInput);
+    });
+}
+
+/**
+ * Turn the text typed in the tag input into chips
+ */
+function commitTagInput() {
+    parseTags(tagInput.value).forEach((tag) => {
+        if (!selectedTags.includes(tag)) selectedTags.push(tag);
+    });
+    tagInput.value = '';
+    renderTagChips();
+}
+
+/**
+ * Offer every tag already in use, in any budget, as autocomplete suggestions
+ */
+async function refreshTagSuggestions() {
+    const tags = await getAllTags();
+    tagSuggestions.innerHTML = '';
+    tags.forEach((tag) => {
+        const option = document.createElement('option');
+        option.value = `#${tag}`;
+        tagSuggestions.appendChild(option);
+    });
+}
+
+/**
+ * Build a thumbnail button for a receipt image.
+ * @param {Blob} blob
+ * @returns {HTMLButtonElement}
+ */
+function createAttachmentThumb(blob) {
+    const thumb = document.createElement('button');
+    thumb.type = 'button';
+    thumb.className = 'attachment-thumb';
+    thumb.setAttribute('aria-label', 'View receipt');
+
+    const img = document.createElement('img');
+    img.alt = '';
+    img.src = URL.createObjectURL(blob);
+    img.addEventListener('load', () => URL.revokeObjectURL(img.src), { once: true });
+    thumb.appendChild(img);
+
+    thumb.addEventListener('click', () => openAttachmentViewer(blob));
+    return thumb;
+}
+
+/**
+ * Show a receipt image full screen
+ * @param {Blob} blob
+ */
+function openAttachmentViewer(blob) {
+    attachmentViewerImg.src = URL.createObjectURL(blob);
+    attachmentViewerImg.addEventListener('load', () => URL.revokeObjectURL(attachmentViewerImg.src), { once: true });
+    attachmentViewer.showModal();
+}
+
+/**
+ * Render the receipt thumbnails in the input view, each with a remove button
+ */
+function renderInputAttachments() {
+    attachmentThumbs.innerHTML = '';
+    inputAttachments.forEach((attachment) => {
+        const item = document.createElement('div');
+        item.className = 'attachment-item';
+        item.appendChild(createAttachmentThumb(attachment.blob));
+
+        const removeBtn = document.createElement('button');
+        removeBtn.type = 'button';
+        removeBtn.className = 'attachment-remove';
+        removeBtn.setAttribute('aria-label', 'Remove receipt');
+        removeBtn.textContent = '×';
+        removeBtn.addEventListener('click', () => {
+            inputAttachments = inputAttachments.filter((a) => a !== attachment);
+            if (attachment.id !== undefined) removedAttachmentIds.push(attachment.id);
+            renderInputAttachments();
+        });
+
+        item.appendChild(removeBtn);
+        attachmentThumbs.appendChild(item);
+    });
+}
+
+/**
+ * Compress picked image files and add them to the transaction in the input view
+ * @param {FileList} files
+ */
+async function addInputAttachments(files) {
+    for (const file of files) {
+        try {
+            inputAttachments.push(await compressImage(file));
+        } catch (error) {
+            alert(error.message);
+        }
+    }
+    renderInputAttachments();
+}
+
+/**
+ * Show a transaction's receipt thumbnails in its expanded list item
+ * @param {number} transactionId
+ * @param {HTMLElement} container
+ */
+async function renderTransactionAttachments(transactionId, container) {
+    const attachments = await getAttachments(transactionId);
+    attachments.forEach((attachment) => container.appendChild(createAttachmentThumb(attachment.blob)));
+}
+
+/**
+ * Show the split lines in place of the category grid while the purchase is split
+ */
+function updateSplitSummary() {
+    const split = Boolean(pendingSplits);
+    categoryGrid.classList.toggle('hidden', split);
+    splitSummary.classList.toggle('hidden', !split);
+    splitBtn.textContent = split ? 'Edit Split' : 'Split';
+    if (split) {
+        const currency = getInputCurrency();
+        splitSummary.textContent = pendingSplits
+            .map((line) => `${line.category} ${formatMoney(toMinorUnits(line.amount, currency), currency)}`)
+            .join(' · ');
+    }
+}
+
+/**
+ * Add a category and amount row to the split modal
+ */
+function addSplitLine(line) {
+    const li = document.createElement('li');
+    li.className = 'split-line';
+
+    const select = document.createElement('select');
+    select.setAttribute('aria-label', 'Category');
+    getCategoryNames().forEach((name) => {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = name;
+        select.appendChild(option);
+    });
+    select.value = line.category;
+
+    const input = document.createElement('input');
+    input.type = 'number';
+    input.inputMode = 'decimal';
+    input.min = '0';
+    input.step = String(10 ** -getMinorUnitDigits(getInputCurrency()));
+    input.setAttribute('aria-label', 'Amount');
+    input.value = line.amount > 0 ? line.amount : '';
+    input.addEventListener('input', updateSplitRemaining);
+
+    const removeBtn = document.createElement('button');
+    removeBtn.type = 'button';
+    removeBtn.className = 'btn-icon';
+    removeBtn.setAttribute('aria-label', 'Remove line');
+    removeBtn.textContent = '×';
+    removeBtn.addEventListener('click', () => {
+        li.remove();
+        updateSplitRemaining();
+    });
+
+    li.append(select, input, removeBtn);
+    splitLinesList.appendChild(li);
+}
+
+/**
+ * Read the split modal's lines, combining lines in the same category and
+ * leaving out empty ones
+ * @returns {Array<{ category: string, amount: number }>} Amounts in major units
+ */
+function readSplitLines() {
+    const lines = [];
+    splitLinesList.querySelectorAll('.split-line').forEach((li) => {
+        const category = li.querySelector('select').value;
+        const amount = parseFloat(li.querySelector('input').value) || 0;
+        if (amount <= 0) return;
+        const existing = lines.find((line) => line.category === category);
+        if (existing) {
+            existing.amount += amount;
+        } else {
+            lines.push({ category, amount });
+        }
+    });
+    return lines;
+}
+
+/**
+ * Show how much of the total the split lines still have to cover
+ * @returns {number} Unassigned minor units (negative when the lines are over the total)
+ */
+function updateSplitRemaining() {
+    const currency = getInputCurrency();
+    const total = toMinorUnits(currentAmount, currency);
+    const assigned = readSplitLines().reduce((sum, line) => sum + toMinorUnits(line.amount, currency), 0);
+    const remaining = total - assigned;
+    splitRemaining.textContent = remaining === 0
+        ? `Lines add up to ${formatMoney(total, currency)}`
+        : `${formatMoney(Math.abs(remaining), currency)} ${remaining > 0 ? 'left to assign' : 'over the total'}`;
+    splitRemaining.classList.toggle('over-limit', remaining !== 0);
+    return remaining;
+}
+
+/**
+ * Open the split modal with the current split, or the selected category
+ * holding the whole total
+ */
+function openSplitModal() {
+    if (currentAmount <= 0) {
+        alert('Enter the total first.');
+        return;
+    }
+
+    splitLinesList.innerHTML = '';
+    const names = getCategoryNames();
+    const lines = pendingSplits || [
+        { category: selectedCategory || names[0], amount: currentAmount },
+        { category: names.find((name) => name !== (selectedCategory || names[0])) || names[0], amount: 0 }
+    ];
+    lines.forEach(addSplitLine);
+    updateSplitRemaining();
+    splitModal.showModal();
+}
+
+/**
+ * Switch the amount entry between the keyboard field and the wheel picker
+ */
+function setKeyboardMode(enabled) {
+    useKeyboard = enabled;
+    if (useKeyboard) {
+        wheelPickerSection.classList.add('hidden');
+        keyboardInput.classList.remove('hidden');
+        toggleKeyboardBtn.textContent = 'Use Wheel';
+    } else {
+        wheelPickerSection.classList.remove('hidden');
+        keyboardInput.classList.add('hidden');
+        toggleKeyboardBtn.textContent = 'Use Keyboard';
+    }
+}
+
+/**
+ * Fill the budget picker in the input view
+ */
+function renderTxBudgetOptions() {
+    txBudgetSelect.innerHTML = '';
+    allBudgets.forEach((budget) => {
+        const option = document.createElement('option');
+        option.value = budget.id;
+        option.textContent = budget.name;
+        txBudgetSelect.appendChild(option);
+    });
+}
+
+/**
+ * Open the input view as an edit screen for an existing transaction
+ */
+async function openTransactionEditor(tx) {
+    resetInputForm();
+    editingTransaction = tx;
+    inputReturnView = document.querySelector('.view.active').id;
+    setTransactionType(getTransactionType(tx));
+
+    // The wheel only covers whole amounts up to 99, so edit on the keyboard
+    const currency = getBudgetCurrency(allBudgets.find((budget) => budget.id === tx.budgetId));
+    setKeyboardMode(true);
+    keyboardInput.value = formatMoneyInput(tx.amount, currency);
+    currentAmount = toMajorUnits(tx.amount, currency);
+
+    selectedCategory = tx.category;
+    renderCategoryButtons();
+    pendingSplits = isSplitTransaction(tx)
+        ? tx.splits.map((line) => ({ category: line.category, amount: toMajorUnits(line.amount, currency) }))
+        : null;
+    updateSplitSummary();
+    noteInput.value = tx.note || '';
+    selectedTags = [...getTransactionTags(tx)];
+    renderTagChips();
+    inputAttachments = await getAttachments(tx.id);
+    renderInputAttachments();
+    dateInput.value = toDateTimeLocalValue(tx.timestamp);
+    initialDateValue = dateInput.value;
+    txBudgetSelect.value = tx.budgetId;
+    updateInputCurrency();
+
+    showView('input-view');
+}
+
+/**
+ * Render the category buttons in the input view
+ */
+function renderCategoryButtons() {
+    categoryGrid.innerHTML = '';
+
+    categories.forEach((category) => {
+        const btn = document.createElement('button');
+        btn.className = 'category-btn';
+        btn.dataset.category = category.name;
+        btn.textContent = category.emoji ? `${category.emoji} ${category.name}` : category.name;
+        if (category.name === selectedCategory) {
+            btn.classList.add('selected');
+        }
+
+        btn.addEventListener('click', () => {
+            categoryGrid.querySelectorAll('.category-btn').forEach((b) => b.classList.remove('selected'));
+            btn.classList.add('selected');
+            selectedCategory = category.name;
+        });
+
+        categoryGrid.appendChild(btn);
+    });
+}
+
+/**
+ * Render the list on the category management screen
+ */
+function renderCategoryManageList() {
+    categoryManageList.innerHTML = '';
+
+    categories.forEach((category) => {
+        const li = document.createElement('li');
+        li.className = 'category-manage-item';
+
+        const swatch = document.createElement('span');
+        swatch.className = 'category-swatch';
+        swatch.style.background = category.color;
+
+        const label = document.createElement('span');
+        label.className = 'category-manage-name';
+        label.textContent = category.emoji ? `${category.emoji} ${category.name}` : category.name;
+
+        li.appendChild(swatch);
+        li.appendChild(label);
+        li.addEventListener('click', () => openCategoryModal(category));
+
+        categoryManageList.appendChild(li);
+    });
+}
+
+/**
+ * Open the category modal to add a new category or edit an existing one
+ */
+function openCategoryModal(category) {
+    editingCategory = category;
+    categoryModalTitle.textContent = category ? 'Edit Category' : 'New Category';
+    categoryNameInput.value = category ? category.name : '';
+    categoryEmojiInput.value = category ? category.emoji : '';
+    categoryColorInput.value = category ? category.color : '#80cbc4';
+
+    categoryMergeSelect.innerHTML = '';
+    const noneOption = document.createElement('option');
+    noneOption.value = '';
+    noneOption.textContent = "Don't merge";
+    categoryMergeSelect.appendChild(noneOption);
+    categories
+        .filter((c) => !category || c.id !== category.id)
+        .forEach((c) => {
+            const option = document.createElement('option');
+            option.value = c.id;
+            option.textContent = c.name;
+            categoryMergeSelect.appendChild(option);
+        });
+
+    categoryMergeGroup.classList.toggle('hidden', !category);
+    deleteCategoryBtn.classList.toggle('hidden', !category);
+    categoryModal.showModal();
+}
+
+/**
+ * Reload categories after a change and refresh everything that shows them
+ */
+async function reloadCategories() {
+    categories = await getAllCategories();
+    // Renames and merges also rewrite category limits on the budget
+    currentBudget = await getBudget(currentBudget.id);
+    if (selectedCategory && !getCategoryNames().includes(selectedCategory)) {
+        selectedCategory = null;
+    }
+    renderCategoryButtons();
+    renderCategoryManageList();
+    await loadSelectedPeriodTransactions();
+}
+
+/**
+ * Fill the import column selects from the parsed file's header
+ */
+function populateImportOptions() {
+    const mapping = guessColumnMapping(importData.fields);
+
+    Object.entries(importColumnSelects).forEach(([key, select]) => {
+        select.innerHTML = '';
+        if (key === 'category' || key === 'note' || key === 'tags' || key === 'reference') {
+            const noneOption = document.createElement('option');
+            noneOption.value = '';
+            noneOption.textContent = '— None —';
+            select.appendChild(noneOption);
+        }
+        importData.fields.forEach((field) => {
+            const option = document.createElement('option');
+            option.value = field;
+            option.textContent = field;
+            select.appendChild(option);
+        });
+        select.value = mapping[key] || (key === 'amount' || key === 'date' ? importData.fields[0] : '');
+    });
+
+    importDefaultCategory.innerHTML = '';
+    const names = getCategoryNames();
+    names.forEach((category) => {
+        const option = document.createElement('option');
+        option.value = category;
+        option.textContent = category;
+        importDefaultCategory.appendChild(option);
+    });
+    importDefaultCategory.value = names.includes('Misc') ? 'Misc' : names[0];
+
+    importDateFormat.value = guessDateFormat(importData.rows.map((row) => row[importColumnSelects.date.value]));
+
+    // OFX and QIF statements always write debits as negative amounts
+    const amounts = importData.rows.map((row) => parseImportAmount(row[importColumnSelects.amount.value]));
+    const negatives = amounts.filter((a) => a < 0).length;
+    const positives = amounts.filter((a) => a > 0).length;
+    importExpenseSign.value = importData.format || negatives > positives ? 'negative' : 'positive';
+}
+
+/**
+ * Rebuild the import rows from the current options and re-render the preview
+ */
+function refreshImportPreview() {
+    const mapping = {};
+    Object.entries(importColumnSelects).forEach(([key, select]) => {
+        mapping[key] = select.value;
+    });
+
+    importRows = buildImportRows(importData.rows, mapping, {
+        dateFormat: importDateFormat.value,
+        expenseSign: importExpenseSign.value,
+        creditType: importCredits.value,
+        categoryMap: importCategoryChoices,
+        categories: getCategoryNames(),
+        defaultCategory: importDefaultCategory.value,
+        currency: getCurrency()
+    });
+    flagDuplicates(importRows, importExisting);
+
+    // Duplicates and invalid rows start unselected
+    importRows.forEach((row, index) => {
+        const selectedByDefault = !row.duplicate;
+        row.selected = !row.error && (importToggled.has(index) ? !selectedByDefault : selectedByDefault);
+        if (importRowCategories.has(index)) row.category = importRowCategories.get(index);
+    });
+
+    renderImportCategoryMap();
+    renderImportPreview();
+}
+
+/**
+ * Render a category picker for each category value found in the file
+ */
+function renderImportCategoryMap() {
+    importCategoryMapContainer.innerHTML = '';
+    const names = getCategoryNames();
+    const sourceValues = [...new Set(importRows.map((row) => row.sourceCategory).filter(Boolean))]
+        .filter((value) => !names.some((c) => c.toLowerCase() === value.toLowerCase()));
+
+    if (sourceValues.length === 0) return;
+
+    const heading = document.createElement('label');
+    heading.textContent = 'Map File Categories';
+    importCategoryMapContainer.appendChild(heading);
+
+    sourceValues.forEach((value) => {
+        const row = document.createElement('div');
+        row.className = 'import-category-row';
+
+        const name = document.createElement('span');
+        name.textContent = value;
+
+        const select = document.createElement('select');
+        names.forEach((category) => {
+            const option = document.createElement('option');
+            option.value = category;
+            option.textContent = category;
+            select.appendChild(option);
+        });
+        select.value = resolveImportCategory(value, importCategoryChoices, names, importDefaultCategory.value);
+        select.addEventListener('change', () => {
+            importCategoryChoices[value] = select.value;
+            refreshImportPreview();
+        });
+
+        row.appendChild(name);
+        row.appendChild(select);
+        importCategoryMapContainer.appendChild(row);
+    });
+}
+
+/**
+ * Render the import preview table
+ */
+function renderImportPreview() {
+    importPreviewTable.innerHTML = '';
+
+    const header = document.createElement('tr');
+    ['', 'Date', 'Category', 'Amount', 'Note', ''].forEach((title) => {
+        const th = document.createElement('th');
+        th.textContent = title;
+        header.appendChild(th);
+    });
+    importPreviewTable.appendChild(header);
+
+    importRows.forEach((row, index) => {
+        const tr = document.createElement('tr');
+        if (row.error) tr.className = 'import-error';
+        else if (row.duplicate) tr.className = 'import-duplicate';
+
+        const checkCell = document.createElement('td');
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = row.selected;
+        checkbox.disabled = Boolean(row.error);
+        checkbox.addEventListener('change', () => {
+            row.selected = checkbox.checked;
+            if (importToggled.has(index)) importToggled.delete(index);
+            else importToggled.add(index);
+            updateImportSummary();
+        });
+        checkCell.appendChild(checkbox);
+        tr.appendChild(checkCell);
+
+        const dateText = isNaN(row.timestamp)
+            ? '—'
+            : new Date(row.timestamp).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
+        const amountPrefix = row.type === 'income' ? '+' : row.type === 'refund' ? '−' : '';
+        const amountText = isNaN(row.amount) ? '—' : `${amountPrefix}${formatAmount(row.amount)}`;
+        const status = row.error || (row.duplicate ? 'Duplicate?' : '');
+
+        const dateCell = document.createElement('td');
+        dateCell.textContent = dateText;
+        tr.appendChild(dateCell);
+
+        // Each row's category can be picked here, on top of the file-wide mapping
+        const categoryCell = document.createElement('td');
+        if (row.error) {
+            categoryCell.textContent = row.category;
+        } else {
+            const select = document.createElement('select');
+            select.setAttribute('aria-label', 'Category');
+            getCategoryNames().forEach((category) => {
+                const option = document.createElement('option');
+                option.value = category;
+                option.textContent = category;
+                select.appendChild(option);
+            });
+            select.value = row.category;
+            select.addEventListener('change', () => {
+                row.category = select.value;
+                importRowCategories.set(index, select.value);
+            });
+            categoryCell.appendChild(select);
+        }
+        tr.appendChild(categoryCell);
+
+        [amountText, row.note, status].forEach((text) => {
+            const td = document.createElement('td');
+            td.textContent = text;
+            tr.appendChild(td);
+        });
+
+        importPreviewTable.appendChild(tr);
+    });
+
+    updateImportSummary();
+}
+
+/**
+ * Update the import summary line and the confirm button
+ */
+function updateImportSummary() {
+    const selected = importRows.filter((row) => row.selected).length;
+    const duplicates = importRows.filter((row) => row.duplicate).length;
+    const skipped = importRows.filter((row) => row.error).length;
+
+    let summary = `${selected} of ${importRows.length} row(s) selected`;
+    if (duplicates > 0) summary += `, ${duplicates} likely duplicate(s)`;
+    if (skipped > 0) summary += `, ${skipped} skipped`;
+    importSummary.textContent = summary;
+
+    confirmImportBtn.disabled = selected === 0;
+}
+
+/**
+ * Fill the export dialog's budget, format and column choices
+ * @param {{ format?: string, delimiter?: string, columns?: Array<string>, splitMode?: string }} options - Last used
+ */
+function renderExportOptions(options) {
+    const createCheckbox = (value, text, checked) => {
+        const label = document.createElement('label');
+        label.className = 'checkbox-label';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.value = value;
+        checkbox.checked = checked;
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(text));
+        return label;
+    };
+
+    exportBudgets.innerHTML = '';
+    allBudgets.forEach((budget) => {
+        exportBudgets.appendChild(createCheckbox(budget.id, budget.name, budget.id === currentBudget.id));
+    });
+
+    exportFormat.innerHTML = '';
+    Object.entries(EXPORT_FORMATS).forEach(([key, format]) => {
+        const option = document.createElement('option');
+        option.value = key;
+        option.textContent = format.label;
+        exportFormat.appendChild(option);
+    });
+    exportFormat.value = EXPORT_FORMATS[options.format] ? options.format : 'csv';
+    exportDelimiter.value = options.delimiter || 'comma';
+    exportSplitMode.value = options.splitMode || 'purchase';
+
+    const columns = options.columns || DEFAULT_EXPORT_COLUMNS;
+    exportColumns.innerHTML = '';
+    EXPORT_COLUMNS.forEach((column) => {
+        exportColumns.appendChild(createCheckbox(column.key, column.label, columns.includes(column.key)));
+    });
+
+    updateExportFormatFields();
+}
+
+/**
+ * Show the export options that apply to the chosen format
+ */
+function updateExportFormatFields() {
+    const format = EXPORT_FORMATS[exportFormat.value];
+    exportDelimiterGroup.classList.toggle('hidden', exportFormat.value !== 'csv');
+    exportColumnsGroup.classList.toggle('hidden', !format.usesColumns);
+    exportSplitModeGroup.classList.toggle('hidden', !format.usesColumns);
+}
+
+/**
+ * Get the values of the checked boxes in a checklist
+ * @param {HTMLElement} container
+ * @returns {Array<string>}
+ */
+function getCheckedValues(container) {
+    return [...container.querySelectorAll('input:checked')].map((checkbox) => checkbox.value);
+}
+
+/**
+ * Switch between views
+ */
+function showView(viewId) {
+    document.querySelectorAll('.view').forEach((v) => v.classList.remove('active'));
+    document.getElementById(viewId).classList.add('active');
+}
+
+/**
+ * Close the input view and go back to where it was opened from
+ */
+async function leaveInputView() {
+    resetInputForm();
+    if (inputReturnView === 'search-view') {
+        await runSearch();
+    }
+    showView(inputReturnView);
+}
+
+// Event Listeners
+
+addBtn.addEventListener('click', () => {
+    resetInputForm();
+    inputReturnView = 'dashboard-view';
+
+    // Offer to date the purchase inside the period being viewed
+    if (!isViewingCurrentPeriod()) {
+        monthOfferLabel.textContent = formatPeriodLabel(getPeriod(), selectedPeriod);
+        monthOfferBtn.classList.remove('hidden');
+    }
+
+    showView('input-view');
+});
+
+backBtn.addEventListener('click', () => {
+    leaveInputView();
+});
+
+saveBtn.addEventListener('click', async () => {
+    const budgetId = parseInt(txBudgetSelect.value, 10);
+    const amount = toMinorUnits(currentAmount, getInputCurrency());
+
+    // Validate
+    if (amount <= 0) {
+        alert('Please enter an amount greater than 0.');
+        return;
+    }
+    if (!selectedCategory && !pendingSplits && selectedType !== 'income') {
+        alert('Please select a category.');
+        return;
+    }
+    if (!dateInput.value) {
+        alert('Please enter a date.');
+        return;
+    }
+
+    const sanitizedNote = sanitizeText(noteInput.value);
+    let category = selectedCategory || INCOME_CATEGORY;
+
+    // Keep a tag that was typed but not yet turned into a chip
+    commitTagInput();
+
+    // Split lines must still add up to the total after any change to it
+    let splits = null;
+    if (pendingSplits) {
+        const currency = getInputCurrency();
+        splits = pendingSplits.map((line) => ({ category: line.category, amount: toMinorUnits(line.amount, currency) }));
+        if (getSplitsTotal(splits) !== amount) {
+            alert(`The split lines add up to ${formatMoney(getSplitsTotal(splits), currency)}, ` +
+                `not the total of ${formatMoney(amount, currency)}.`);
+            return;
+        }
+        category = getMainSplitCategory(splits);
+    }
+
+    // Keep the original (or current) time to the millisecond unless the date was changed
+    const dateChanged = dateInput.value !== initialDateValue;
+    const pickedTimestamp = new Date(dateInput.value).getTime();
+
+    let transactionId;
+    if (editingTransaction) {
+        transactionId = editingTransaction.id;
+        await updateTransaction(transactionId, {
+            amount,
+            type: selectedType,
+            category,
+            note: sanitizedNote,
+            budgetId,
+            timestamp: dateChanged ? pickedTimestamp : editingTransaction.timestamp,
+            splits,
+            tags: selectedTags
+        });
+    } else {
+        transactionId = await addTransaction({
+            amount,
+            type: selectedType,
+            category,
+            note: sanitizedNote,
+            budgetId,
+            timestamp: dateChanged ? pickedTimestamp : undefined,
+            splits,
+            tags: selectedTags
+        });
+    }
+
+    // Save new receipts and drop removed ones
+    const newAttachments = inputAttachments.filter((attachment) => attachment.id === undefined);
+    if (newAttachments.length > 0) await addAttachments(transactionId, newAttachments);
+    await Promise.all(removedAttachmentIds.map(deleteAttachment));
+
+    // Reload and go back
+    await loadSelectedPeriodTransactions();
+    await leaveInputView();
+
+    // Only the budget saved to can have gained spending
+    await checkBudgetAlerts([budgetId]);
+});
+
+typeBtns.forEach((btn) => {
+    btn.addEventListener('click', () => setTransactionType(btn.dataset.type));
+});
+
+toggleKeyboardBtn.addEventListener('click', () => {
+    setKeyboardMode(!useKeyboard);
+    if (useKeyboard) {
+        keyboardInput.focus();
+    }
+});
+
+monthOfferBtn.addEventListener('click', () => {
+    dateInput.value = toDateTimeLocalValue(getTimestampInSelectedPeriod());
+    monthOfferBtn.classList.add('hidden');
+});
+
+keyboardInput.addEventListener('input', () => {
+    const val = parseFloat(keyboardInput.value) || 0;
+    currentAmount = val;
+    amountValue.textContent = val.toFixed(getMinorUnitDigits(getInputCurrency()));
+});
+
+txBudgetSelect.addEventListener('change', updateInputCurrency);
+
+// Undo snackbar
+snackbarUndoBtn.addEventListener('click', async () => {
+    const trashId = undoTrashId;
+    hideSnackbar();
+    if (trashId !== null) {
+        await restoreFromTrash(trashId);
+    }
+});
+
+// Trash
+trashBtn.addEventListener('click', async () => {
+    trashRetention.value = await getTrashRetentionDays();
+    await renderTrashList();
+    showView('trash-view');
+});
+
+trashBackBtn.addEventListener('click', () => {
+    showView('dashboard-view');
+});
+
+trashRetention.addEventListener('change', async () => {
+    await setSetting('trashRetentionDays', parseInt(trashRetention.value, 10));
+    await purgeExpiredTrash();
+    await renderTrashList();
+});
+
+emptyTrashBtn.addEventListener('click', async () => {
+    if (!confirm('Permanently delete everything in the trash? This cannot be undone.')) return;
+    await emptyTrash();
+    await renderTrashList();
+});
+
+// Search
+searchBtn.addEventListener('click', async () => {
+    renderSearchCategories();
+    await runSearch();
+    showView('search-view');
+});
+
+searchBackBtn.addEventListener('click', () => {
+    showView('dashboard-view');
+});
+
+[searchText, searchMin, searchMax, searchFrom, searchTo].forEach((input) => {
+    input.addEventListener('input', runSearch);
+});
+
+searchSort.addEventListener('change', runSearch);
+
+searchResetBtn.addEventListener('click', () => {
+    resetSearchFilters();
+    runSearch();
+});
+
+searchExportBtn.addEventListener('click', async () => {
+    if (!await confirmExportPassphrase()) return;
+    const date = new Date().toISOString().split('T')[0];
+    const options = (await getSetting('exportOptions')) || {};
+    exportTransactions(searchResultsList, `budget_search_${date}`, [currentBudget], options);
+});
+
+// Reports
+reportsBtn.addEventListener('click', async () => {
+    await renderReports();
+    showView('reports-view');
+});
+
+reportsBackBtn.addEventListener('click', () => {
+    showView('dashboard-view');
+});
+
+reportRange.addEventListener('change', renderReports);
+
+// All budgets overview
+overviewBackBtn.addEventListener('click', () => {
+    showView('dashboard-view');
+});
+
+// Recurring transactions
+recurringBtn.addEventListener('click', async () => {
+    await renderRecurringList();
+    showView('recurring-view');
+});
+
+recurringBackBtn.addEventListener('click', () => {
+    showView('dashboard-view');
+});
+
+addRecurringBtn.addEventListener('click', () => {
+    openRecurringModal(null);
+});
+
+recurringFrequencySelect.addEventListener('change', () => {
+    recurringDayGroup.classList.toggle('hidden', recurringFrequencySelect.value !== 'monthly');
+});
+
+cancelRecurringBtn.addEventListener('click', () => {
+    recurringModal.close();
+});
+
+saveRecurringBtn.addEventListener('click', async (e) => {
+    e.preventDefault();
+
+    const amount = toMinorUnits(parseFloat(recurringAmountInput.value) || 0, getCurrency());
+    if (amount <= 0) {
+        alert('Please enter an amount greater than 0.');
+        return;
+    }
+    if (!recurringStartInput.value) {
+        alert('Please choose a start date.');
+        return;
+    }
+
+    // Date inputs are parsed as local midnight
+    const startDate = new Date(`${recurringStartInput.value}T00:00`).getTime();
+    const endDate = recurringEndInput.value
+        ? new Date(`${recurringEndInput.value}T23:59:59.999`).getTime()
+        : null;
+    if (endDate !== null && endDate < startDate) {
+        alert('The end date must be after the start date.');
+        return;
+    }
+
+    const frequency = recurringFrequencySelect.value;
+    const dayOfMonth = Math.min(31, Math.max(1, parseInt(recurringDayInput.value, 10) || 1));
+    const rule = {
+        amount,
+        category: recurringCategorySelect.value,
+        note: sanitizeText(recurringNoteInput.value),
+        budgetId: currentBudget.id,
+        frequency,
+        dayOfMonth: frequency === 'monthly' ? dayOfMonth : null,
+        startDate,
+        endDate
+    };
+
+    if (editingRule) {
+        await updateRecurringRule(editingRule.id, rule);
+    } else {
+        await createRecurringRule(rule);
+    }
+
+    recurringModal.close();
+    const created = await materializeDueRecurring();
+    await renderRecurringList();
+    await loadSelectedPeriodTransactions();
+    if (created > 0) await checkBudgetAlerts([rule.budgetId]);
+});
+
+deleteRecurringBtn.addEventListener('click', async () => {
+    if (!confirm('Delete this recurring transaction? Transactions it already created are kept.')) return;
+
+    await deleteRecurringRule(editingRule.id);
+    recurringModal.close();
+    await renderRecurringList();
+    await loadSelectedPeriodTransactions();
+});
+
+committedToggle.addEventListener('click', () => {
+    const expanded = upcomingList.classList.toggle('hidden') === false;
+    committedToggle.setAttribute('aria-expanded', expanded);
+});
+
+// Sync and catch up on recurring transactions when the app comes back to the foreground
+document.addEventListener('visibilitychange', async () => {
+    if (document.visibilityState !== 'visible' || !currentBudget) return;
+    if (isAutoLockDue()) {
+        lockApp();
+        return;
+    }
+    await runBackgroundSync();
+    const created = await materializeDueRecurring();
+    if (created > 0) {
+        await loadSelectedPeriodTransactions();
+        await checkBudgetAlerts(allBudgets.map((budget) => budget.id));
+    }
+});
+
+// Tag input: Enter, comma or space finishes a tag; Backspace on an empty input removes the last one
+tagInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' || e.key === ',' || e.key === ' ') {
+        e.preventDefault();
+        commitTagInput();
+    } else if (e.key === 'Backspace' && tagInput.value === '' && selectedTags.length > 0) {
+        selectedTags.pop();
+        renderTagChips();
+    }
+});
+
+// Picking an autocomplete suggestion replaces the text in one go
+tagInput.addEventListener('input', (e) => {
+    if (e.inputType === 'insertReplacementText') commitTagInput();
+});
+
+tagInput.addEventListener('change', commitTagInput);
+
+// Receipt attachments
+takePhotoBtn.addEventListener('click', () => cameraInput.click());
+choosePhotosBtn.addEventListener('click', () => photoInput.click());
+
+[cameraInput, photoInput].forEach((input) => {
+    input.addEventListener('change', async () => {
+        const files = [...input.files];
+        input.value = '';
+        await addInputAttachments(files);
     });
+});
 
-    // Reset category selection
-    categoryBtns.forEach((btn) => btn.classList.remove('selected'));
+attachmentViewer.addEventListener('click', () => attachmentViewer.close());
 
-    // Reset to wheel input
-    useKeyboard = false;
-    wheelPickerSection.classList.remove('hidden');
-    keyboardInput.classList.add('hidden');
-    toggleKeyboardBtn.textContent = 'Use Keyboard';
-}
+// Dashboard tag filter
+tagFilterSelect.addEventListener('change', () => {
+    tagFilter = tagFilterSelect.value;
+    renderTransactionList();
+});
 
-/**
- * Switch between views
- */
-function showView(viewId) {
-    document.querySelectorAll('.view').forEach((v) => v.classList.remove('active'));
-    document.getElementById(viewId).classList.add('active');
-}
+// Split purchase
+splitBtn.addEventListener('click', openSplitModal);
 
-// Event Listeners
+addSplitLineBtn.addEventListener('click', () => {
+    const remaining = updateSplitRemaining();
+    const currency = getInputCurrency();
+    addSplitLine({ category: getCategoryNames()[0], amount: remaining > 0 ? toMajorUnits(remaining, currency) : 0 });
+    updateSplitRemaining();
+});
 
-addBtn.addEventListener('click', () => {
-    resetInputForm();
+removeSplitBtn.addEventListener('click', () => {
+    pendingSplits = null;
+    updateSplitSummary();
+    splitModal.close();
+});
+
+cancelSplitBtn.addEventListener('click', () => {
+    splitModal.close();
+});
+
+confirmSplitBtn.addEventListener('click', (e) => {
+    e.preventDefault();
+
+    const lines = readSplitLines();
+    if (updateSplitRemaining() !== 0) {
+        alert('The split lines must add up to the total.');
+        return;
+    }
+
+    // A single line is just a category
+    if (lines.length === 1) {
+        pendingSplits = null;
+        selectedCategory = lines[0].category;
+        renderCategoryButtons();
+    } else {
+        pendingSplits = lines;
+    }
+    updateSplitSummary();
+    splitModal.close();
+});
+
+// Category management
+manageCategoriesBtn.addEventListener('click', () => {
+    renderCategoryManageList();
+    showView('categories-view');
+});
+
+categoriesBackBtn.addEventListener('click', () => {
     showView('input-view');
 });
 
-backBtn.addEventListener('click', () => {
-    resetInputForm();
-    showView('dashboard-view');
+addCategoryBtn.addEventListener('click', () => {
+    openCategoryModal(null);
 });
 
-saveBtn.addEventListener('click', async () => {
-    // Validate
-    if (currentAmount <= 0) {
-        alert('Please enter an amount greater than 0.');
+cancelCategoryBtn.addEventListener('click', () => {
+    categoryModal.close();
+});
+
+saveCategoryBtn.addEventListener('click', async (e) => {
+    e.preventDefault();
+
+    const name = sanitizeText(categoryNameInput.value).substring(0, 30);
+    if (!name) {
+        alert('Please enter a category name.');
         return;
     }
-    if (!selectedCategory) {
-        alert('Please select a category.');
+    const clash = categories.find((c) => c.name.toLowerCase() === name.toLowerCase()
+        && (!editingCategory || c.id !== editingCategory.id));
+    if (clash) {
+        alert(`A category named "${clash.name}" already exists.`);
         return;
     }
 
-    // Save transaction with budgetId
-    const sanitizedNote = sanitizeText(noteInput.value);
-    await addTransaction({
-        amount: currentAmount,
-        category: selectedCategory,
-        note: sanitizedNote,
-        budgetId: currentBudget.id
-    });
+    const emoji = sanitizeText(categoryEmojiInput.value).substring(0, 8);
+    const color = categoryColorInput.value;
 
-    // Reload and go back
-    await loadCurrentMonthTransactions();
-    resetInputForm();
-    showView('dashboard-view');
+    if (!editingCategory) {
+        await createCategory({ name, emoji, color });
+    } else if (categoryMergeSelect.value) {
+        const target = categories.find((c) => c.id === parseInt(categoryMergeSelect.value, 10));
+        if (!confirm(`Move all "${editingCategory.name}" transactions to "${target.name}" and remove "${editingCategory.name}"?`)) {
+            return;
+        }
+        await mergeCategories(editingCategory.id, target.id);
+        if (selectedCategory === editingCategory.name) selectedCategory = target.name;
+    } else {
+        await updateCategory(editingCategory.id, { name, emoji, color });
+        if (selectedCategory === editingCategory.name) selectedCategory = name;
+    }
+
+    categoryModal.close();
+    await reloadCategories();
 });
 
-toggleKeyboardBtn.addEventListener('click', () => {
-    useKeyboard = !useKeyboard;
-    if (useKeyboard) {
-        wheelPickerSection.classList.add('hidden');
-        keyboardInput.classList.remove('hidden');
-        keyboardInput.focus();
-        toggleKeyboardBtn.textContent = 'Use Wheel';
-    } else {
-        wheelPickerSection.classList.remove('hidden');
-        keyboardInput.classList.add('hidden');
-        toggleKeyboardBtn.textContent = 'Use Keyboard';
+deleteCategoryBtn.addEventListener('click', async () => {
+    if (categories.length <= 1) {
+        alert('Cannot delete the last category.');
+        return;
     }
+
+    const count = await countTransactionsInCategory(editingCategory.name);
+    if (count > 0) {
+        alert(`"${editingCategory.name}" is used by ${count} transaction(s). Merge it into another category instead.`);
+        return;
+    }
+    if (!confirm(`Delete the "${editingCategory.name}" category?`)) return;
+
+    await deleteCategory(editingCategory.id);
+    if (selectedCategory === editingCategory.name) selectedCategory = null;
+
+    categoryModal.close();
+    await reloadCategories();
 });
 
-keyboardInput.addEventListener('input', () => {
-    const val = parseFloat(keyboardInput.value) || 0;
-    currentAmount = val;
-    amountValue.textContent = val.toFixed(2);
+// Period navigation
+prevMonthBtn.addEventListener('click', () => changePeriod(-1));
+nextMonthBtn.addEventListener('click', () => changePeriod(1));
+
+// Tap the period label to jump back to the current period
+monthLabel.addEventListener('click', async () => {
+    if (isViewingCurrentPeriod()) return;
+    selectedPeriod = getPeriodBounds(getPeriod(), new Date());
+    updatePeriodLabel();
+    await loadSelectedPeriodTransactions();
 });
 
-categoryBtns.forEach((btn) => {
-    btn.addEventListener('click', () => {
-        categoryBtns.forEach((b) => b.classList.remove('selected'));
-        btn.classList.add('selected');
-        selectedCategory = btn.dataset.category;
-    });
+// Swipe left/right on the dashboard to change period
+dashboardView.addEventListener('touchstart', (e) => {
+    touchStartX = e.touches[0].clientX;
+    touchStartY = e.touches[0].clientY;
+}, { passive: true });
+
+dashboardView.addEventListener('touchend', (e) => {
+    if (touchStartX === null) return;
+    const dx = e.changedTouches[0].clientX - touchStartX;
+    const dy = e.changedTouches[0].clientY - touchStartY;
+    touchStartX = null;
+
+    // Ignore short or mostly vertical swipes (list scrolling)
+    if (Math.abs(dx) < 60 || Math.abs(dx) < Math.abs(dy) * 1.5) return;
+    changePeriod(dx > 0 ? -1 : 1);
 });
 
 // Budget selector event
 budgetSelect.addEventListener('change', async () => {
     const selectedValue = budgetSelect.value;
 
-    if (selectedValue === '__new__') {
+    if (selectedValue === '__all__') {
+        // The dashboard keeps the current budget; the overview is a view of its own
+        budgetSelect.value = currentBudget.id;
+        await renderOverview();
+        showView('overview-view');
+    } else if (selectedValue === '__new__') {
         // Create new budget
         const budgetName = prompt('Enter name for new budget:', 'New Budget');
         if (budgetName && budgetName.trim()) {
             const sanitizedName = sanitizeText(budgetName);
-            const newId = await createBudget(sanitizedName, 1000);
+            // New budgets start with the current budget's currency and period
+            const newId = await createBudget(sanitizedName, toMinorUnits(1000, getCurrency()), getCurrency(), getPeriod());
             allBudgets = await getAllBudgets();
             await switchBudget(newId);
             renderBudgetSelector();
@@ -616,9 +3540,10 @@ confirmDeleteBudgetBtn.addEventListener('click', async (e) => {
     deleteBudgetModal.close();
 
     const budgetIdToDelete = currentBudget.id;
+    const budgetName = currentBudget.name;
 
-    // Delete the budget
-    await deleteBudget(budgetIdToDelete);
+    // Move the budget to the trash
+    const trashId = await deleteBudget(budgetIdToDelete);
 
     // Refresh budgets list
     allBudgets = await getAllBudgets();
@@ -629,33 +3554,146 @@ confirmDeleteBudgetBtn.addEventListener('click', async (e) => {
     }
 
     renderBudgetSelector();
+    showUndoSnackbar(`Deleted budget "${budgetName}"`, trashId);
 });
 
-// Settings modal (now updates current budget's target)
+// Settings modal (now updates current budget's target and category limits)
 settingsModal.addEventListener('close', async () => {
     if (settingsModal.returnValue === 'save') {
-        const newTarget = parseFloat(targetInput.value) || 1000;
-        await updateBudget(currentBudget.id, { target: newTarget });
-        currentBudget.target = newTarget;
-        renderBudgetWheel();
+        // Stored amounts follow the new currency's minor units (e.g. cents to whole yen)
+        const currency = currencySelect.value;
+        if (currency !== getCurrency()) {
+            const factor = 10 ** (getMinorUnitDigits(currency) - getMinorUnitDigits(getCurrency()));
+            await setBudgetCurrency(currentBudget.id, currency, factor);
+        }
+
+        const newTarget = toMinorUnits(parseFloat(targetInput.value) || 1000, currency);
+
+        const allocations = {};
+        allocationInputs.querySelectorAll('input').forEach((input) => {
+            const limit = toMinorUnits(parseFloat(input.value) || 0, currency);
+            if (limit > 0) allocations[input.dataset.category] = limit;
+        });
+
+        const rollover = rolloverInput.checked;
+        const cap = parseFloat(rolloverCapInput.value);
+        const rolloverCap = cap >= 0 ? toMinorUnits(cap, currency) : null;
+
+        const period = getPeriodFromSettings();
+
+        const alertThresholds = parseAlertThresholds(alertThresholdsInput.value);
+        const alertCategoryLimits = alertCategoriesInput.checked;
+
+        await updateBudget(currentBudget.id, {
+            target: newTarget, allocations, rollover, rolloverCap, period, alertThresholds, alertCategoryLimits
+        });
+        currentBudget = await getBudget(currentBudget.id);
+        allBudgets = await getAllBudgets();
+        alignSelectedPeriod();
+        await loadSelectedPeriodTransactions();
+
+        // Alerts need the browser's permission, asked for when they are first set up
+        if (alertThresholds.length > 0 && await requestAlertPermission()) {
+            await checkBudgetAlerts([currentBudget.id]);
+        }
     }
 });
 
 cancelSettingsBtn.addEventListener('click', () => {
-    targetInput.value = currentBudget.target;
-    settingsModal.close();
+    targetInput.value = formatMoneyInput(currentBudget.target, getCurrency());
+    settingsModal.close('cancel');
+});
+
+targetInput.addEventListener('input', updateAllocationTotal);
+currencySelect.addEventListener('change', updateAllocationTotal);
+periodSelect.addEventListener('change', updatePeriodFields);
+
+rolloverInput.addEventListener('change', () => {
+    rolloverCapGroup.classList.toggle('hidden', !rolloverInput.checked);
 });
 
 // Long press on wheel center to edit target
 document.querySelector('.wheel-center').addEventListener('click', () => {
-    targetInput.value = currentBudget.target;
-    settingsModal.showModal();
+    openSettingsModal();
 });
 
 // Edit budget target button
 editTargetBtn.addEventListener('click', () => {
-    targetInput.value = currentBudget.target;
-    settingsModal.showModal();
+    openSettingsModal();
+});
+
+// Move unused allocation between categories for the selected period
+moveAllocationBtn.addEventListener('click', () => {
+    const limits = getCategoryLimits();
+    const totals = getCategoryTotals(currentTransactions);
+    const withUnused = Object.keys(limits).filter((category) => limits[category] - (totals[category] || 0) > 0);
+
+    if (withUnused.length === 0) {
+        alert(`No category has unused allocation this ${getPeriodNoun(getPeriod())}.`);
+        return;
+    }
+
+    moveFromSelect.innerHTML = '';
+    withUnused.forEach((category) => {
+        const option = document.createElement('option');
+        option.value = category;
+        option.textContent = category;
+        moveFromSelect.appendChild(option);
+    });
+
+    // Prefer moving into a category that is over its limit
+    moveToSelect.innerHTML = '';
+    getCategoryNames().forEach((category) => {
+        const option = document.createElement('option');
+        option.value = category;
+        option.textContent = category;
+        moveToSelect.appendChild(option);
+    });
+    const overLimit = getCategoryNames().find((category) => (totals[category] || 0) > (limits[category] || 0));
+    if (overLimit) moveToSelect.value = overLimit;
+
+    const unused = updateMoveUnusedHint();
+    moveAmountInput.value = unused;
+    moveAllocationModal.showModal();
+});
+
+moveFromSelect.addEventListener('change', () => {
+    moveAmountInput.value = updateMoveUnusedHint();
+});
+
+cancelMoveBtn.addEventListener('click', () => {
+    moveAllocationModal.close();
+});
+
+confirmMoveBtn.addEventListener('click', async (e) => {
+    e.preventDefault();
+
+    const from = moveFromSelect.value;
+    const to = moveToSelect.value;
+    const amount = toMinorUnits(parseFloat(moveAmountInput.value) || 0, getCurrency());
+    const unused = updateMoveUnusedHint();
+
+    if (from === to) {
+        alert('Choose two different categories.');
+        return;
+    }
+    if (amount <= 0 || amount > unused) {
+        alert(`Enter an amount between ${formatAmount(1)} and ${formatAmount(unused)}.`);
+        return;
+    }
+
+    const key = getSelectedPeriodKey();
+    const moves = { ...(currentBudget.allocationMoves || {}) };
+    const periodMoves = { ...(moves[key] || {}) };
+    periodMoves[from] = (periodMoves[from] || 0) - amount;
+    periodMoves[to] = (periodMoves[to] || 0) + amount;
+    moves[key] = periodMoves;
+
+    await updateBudget(currentBudget.id, { allocationMoves: moves });
+    currentBudget.allocationMoves = moves;
+
+    moveAllocationModal.close();
+    renderCategoryLimits();
 });
 
 // Export modal
@@ -669,11 +3707,15 @@ exportBtn.addEventListener('click', async () => {
         exportStartDate.value = bounds.min.toISOString().split('T')[0];
         exportEndDate.value = bounds.max.toISOString().split('T')[0];
     }
+    exportRange.options[0].textContent = formatPeriodLabel(getPeriod(), selectedPeriod);
     exportRange.value = 'current';
     exportDateRange.classList.add('hidden');
+    renderExportOptions((await getSetting('exportOptions')) || {});
     exportModal.showModal();
 });
 
+exportFormat.addEventListener('change', updateExportFormatFields);
+
 exportRange.addEventListener('change', () => {
     if (exportRange.value === 'custom') {
         exportDateRange.classList.remove('hidden');
@@ -688,20 +3730,391 @@ cancelExportBtn.addEventListener('click', () => {
 
 confirmExportBtn.addEventListener('click', async (e) => {
     e.preventDefault();
+    const budgetIds = getCheckedValues(exportBudgets).map(Number);
+    if (budgetIds.length === 0) {
+        alert('Please choose at least one budget.');
+        return;
+    }
+    const options = {
+        format: exportFormat.value,
+        delimiter: exportDelimiter.value,
+        columns: getCheckedValues(exportColumns),
+        splitMode: exportSplitMode.value
+    };
+    if (EXPORT_FORMATS[options.format].usesColumns && options.columns.length === 0) {
+        alert('Please choose at least one column.');
+        return;
+    }
+
     exportModal.close();
+    await setSetting('exportOptions', options);
+    if (!await confirmExportPassphrase()) return;
 
-    if (exportRange.value === 'current') {
-        runExportJob('current', currentBudget.id);
-    } else {
-        // Custom date range
+    if (exportRange.value === 'custom') {
         const start = new Date(exportStartDate.value);
         start.setHours(0, 0, 0, 0);
         const end = new Date(exportEndDate.value);
         end.setHours(23, 59, 59, 999);
-        const transactions = await getTransactionsByDateRange(start, end, currentBudget.id);
-        const filename = `budget_${currentBudget.name}_${exportStartDate.value}_to_${exportEndDate.value}.csv`;
-        exportToCSV(transactions, filename);
+        runExportJob('custom', budgetIds, selectedPeriod.start, { ...options, start, end });
+    } else {
+        runExportJob(exportRange.value, budgetIds, selectedPeriod.start, options);
+    }
+});
+
+// Import modal
+importBtn.addEventListener('click', () => {
+    importData = null;
+    importRows = [];
+    importFile.value = '';
+    importOptions.classList.add('hidden');
+    confirmImportBtn.disabled = true;
+    importModal.showModal();
+});
+
+importFile.addEventListener('change', async () => {
+    const file = importFile.files[0];
+    if (!file) return;
+
+    try {
+        importData = await parseStatementFile(file) || await parseCSVFile(file);
+    } catch (error) {
+        console.error('Import failed:', error);
+        alert('Could not read this file. Please choose a CSV, OFX or QIF file.');
+        return;
+    }
+
+    if (importData.fields.length === 0 || importData.rows.length === 0) {
+        alert('This file has no rows to import.');
+        return;
+    }
+
+    importCategoryChoices = (await getSetting('importCategoryMap')) || {};
+    importCredits.value = 'skip';
+    importExisting = await getAllTransactions(currentBudget.id);
+    importToggled = new Set();
+    importRowCategories = new Map();
+
+    populateImportOptions();
+    refreshImportPreview();
+    importOptions.classList.remove('hidden');
+});
+
+[...Object.values(importColumnSelects), importDateFormat, importExpenseSign, importCredits, importDefaultCategory].forEach((select) => {
+    select.addEventListener('change', () => {
+        if (importData) refreshImportPreview();
+    });
+});
+
+cancelImportBtn.addEventListener('click', () => {
+    importModal.close();
+});
+
+confirmImportBtn.addEventListener('click', async (e) => {
+    e.preventDefault();
+
+    const selected = importRows.filter((row) => row.selected);
+    if (selected.length === 0) return;
+
+    importModal.close();
+
+    const count = await importTransactions(selected.map((row) => ({
+        amount: row.amount,
+        type: row.type,
+        category: row.category,
+        note: sanitizeText(row.note),
+        tags: row.tags,
+        budgetId: currentBudget.id,
+        timestamp: row.timestamp,
+        importId: row.importId
+    })));
+    await setSetting('importCategoryMap', importCategoryChoices);
+
+    alert(`Imported ${count} transaction(s).`);
+    await loadSelectedPeriodTransactions();
+    await checkBudgetAlerts([currentBudget.id]);
+});
+
+// Backup and restore modal
+backupBtn.addEventListener('click', () => {
+    pendingBackup = null;
+    restoreFile.value = '';
+    restoreMode.value = 'merge';
+    restoreWarning.classList.add('hidden');
+    restoreOptions.classList.add('hidden');
+    confirmRestoreBtn.disabled = true;
+    backupModal.showModal();
+});
+
+downloadBackupBtn.addEventListener('click', async () => {
+    try {
+        await downloadBackup();
+    } catch (error) {
+        console.error('Backup failed:', error);
+        alert('Failed to create a backup. Please try again.');
+    }
+});
+
+restoreFile.addEventListener('change', async () => {
+    const file = restoreFile.files[0];
+    pendingBackup = null;
+    restoreOptions.classList.add('hidden');
+    confirmRestoreBtn.disabled = true;
+    if (!file) return;
+
+    try {
+        const data = JSON.parse(await file.text());
+        validateBackup(data);
+        pendingBackup = data;
+    } catch (error) {
+        alert(error instanceof SyntaxError ? 'This file is not valid JSON.' : error.message);
+        return;
+    }
+
+    const budgetCount = (pendingBackup.stores.budgets || []).length || 1;
+    const txCount = (pendingBackup.stores.transactions || []).length;
+    const date = new Date(pendingBackup.exportedAt).toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' });
+    restoreSummary.textContent = `Backup from ${date}: ${budgetCount} budget(s), ${txCount} transaction(s).`
+        + (getBackupEncryption(pendingBackup) ? ' Encrypted: its passphrase is needed to open it.' : '');
+    restoreOptions.classList.remove('hidden');
+    confirmRestoreBtn.disabled = false;
+});
+
+restoreMode.addEventListener('change', () => {
+    restoreWarning.classList.toggle('hidden', restoreMode.value !== 'replace');
+});
+
+cancelBackupBtn.addEventListener('click', () => {
+    backupModal.close();
+});
+
+confirmRestoreBtn.addEventListener('click', async (e) => {
+    e.preventDefault();
+    if (!pendingBackup) return;
+
+    if (restoreMode.value === 'replace'
+        && !confirm('Replace all data on this device with this backup? This cannot be undone.')) {
+        return;
+    }
+
+    backupModal.close();
+
+    // Merged records are opened with the backup's passphrase and sealed again with this device's
+    let passphrase = null;
+    const backupEncryption = getBackupEncryption(pendingBackup);
+    if (restoreMode.value === 'merge' && backupEncryption) {
+        passphrase = await askPassphrase('This backup is encrypted. Enter the passphrase it was made with.');
+        if (passphrase === null) return;
+        try {
+            await openKey(passphrase, backupEncryption);
+        } catch (error) {
+            alert('Wrong passphrase. Your data was not changed.');
+            return;
+        }
+    }
+
+    try {
+        await restoreBackup(pendingBackup, restoreMode.value, passphrase);
+    } catch (error) {
+        console.error('Restore failed:', error);
+        alert('Failed to restore the backup. Your data was not changed.');
+        return;
+    }
+
+    alert('Backup restored.');
+    // Start fresh so every view picks up the restored data
+    location.reload();
+});
+
+// Sync modal
+syncBtn.addEventListener('click', async () => {
+    syncEndpointInput.value = '';
+    await renderSyncStatus();
+    syncModal.showModal();
+});
+
+cancelSyncBtn.addEventListener('click', () => {
+    syncModal.close();
+});
+
+confirmSyncBtn.addEventListener('click', async (e) => {
+    e.preventDefault();
+
+    // The server gets the records decrypted, so encrypted data needs the passphrase first
+    if (!await isSyncAllowed()) {
+        if (!await confirmExportPassphrase('Synced data reaches the server decrypted. Enter your passphrase to sync.')) {
+            return;
+        }
+        await allowDecryptedSync();
+    }
+
+    if (await getSyncEndpoint()) {
+        syncStatus.textContent = 'Syncing…';
+        await runBackgroundSync();
+        await renderSyncStatus();
+        return;
+    }
+
+    const endpoint = syncEndpointInput.value.trim();
+    if (!endpoint || !syncEndpointInput.checkValidity()) {
+        alert('Please enter the address of the sync server.');
+        return;
+    }
+    if (!confirm('If this server already holds data from another device, that data replaces the budgets, ' +
+        'transactions and categories on this device. Continue?')) {
+        return;
+    }
+
+    syncStatus.textContent = 'Connecting…';
+    let replaced;
+    try {
+        replaced = await connectSync(endpoint);
+        syncError = null;
+    } catch (error) {
+        console.error('Sync failed:', error);
+        alert(error.message);
+        await renderSyncStatus();
+        return;
+    }
+
+    if (replaced) {
+        // Start fresh so every view picks up the synced data
+        location.reload();
+        return;
+    }
+    await renderSyncStatus();
+});
+
+disconnectSyncBtn.addEventListener('click', async () => {
+    if (!confirm('Stop syncing this device? Its data stays here, and other devices keep theirs.')) return;
+    await disconnectSync();
+    syncError = null;
+    syncEndpointInput.value = '';
+    await renderSyncStatus();
+});
+
+// Send changes made offline once the connection returns
+window.addEventListener('online', runBackgroundSync);
+
+// Update banner: the new version takes over, then the page reloads on controllerchange
+updateReloadBtn.addEventListener('click', () => {
+    if (!waitingWorker) return;
+    updateRequested = true;
+    updateReloadBtn.disabled = true;
+    waitingWorker.postMessage({ type: 'SKIP_WAITING' });
+});
+
+// Lock screen
+unlockForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+    unlockError.classList.add('hidden');
+    try {
+        await unlockEncryption(unlockInput.value);
+    } catch (error) {
+        unlockError.textContent = error.message;
+        unlockError.classList.remove('hidden');
+        unlockInput.select();
+        return;
+    }
+    unlockInput.value = '';
+    showView('dashboard-view');
+    resolveUnlock();
+});
+
+// Any interaction keeps an encrypted app unlocked
+['pointerdown', 'keydown'].forEach((type) => {
+    document.addEventListener(type, () => {
+        if (isEncryptionEnabled() && currentBudget) resetAutoLockTimer();
+    }, { passive: true });
+});
+
+// Encryption modal
+securityBtn.addEventListener('click', () => {
+    renderSecurityStatus();
+    securityModal.showModal();
+});
+
+cancelSecurityBtn.addEventListener('click', () => {
+    securityModal.close();
+});
+
+// Escape can't close the dialog halfway through encrypting
+securityModal.addEventListener('cancel', (e) => {
+    if (cancelSecurityBtn.disabled) e.preventDefault();
+});
+
+confirmSecurityBtn.addEventListener('click', async (e) => {
+    e.preventDefault();
+    const enabled = isEncryptionEnabled();
+    const newPassphrase = newPassphraseInput.value;
+    if (newPassphrase.length < MIN_PASSPHRASE_LENGTH) {
+        alert(`Please use a passphrase of at least ${MIN_PASSPHRASE_LENGTH} characters.`);
+        return;
+    }
+    if (newPassphrase !== repeatPassphraseInput.value) {
+        alert('The new passphrases do not match.');
+        return;
+    }
+    if (enabled && !await checkPassphrase(currentPassphraseInput.value)) {
+        alert('The current passphrase is wrong.');
+        return;
+    }
+
+    setSecurityBusy(true);
+    securityStatus.textContent = 'Encrypting…';
+    try {
+        if (enabled) {
+            await changePassphrase(currentPassphraseInput.value, newPassphrase);
+        } else {
+            await enableEncryption(newPassphrase);
+        }
+    } catch (error) {
+        console.error('Encryption failed:', error);
+        alert('Failed to encrypt the data. It was not changed.');
+        renderSecurityStatus();
+        return;
+    } finally {
+        setSecurityBusy(false);
     }
+
+    resetAutoLockTimer();
+    securityModal.close();
+    alert(enabled ? 'Passphrase changed.' : 'Encryption is on. Keep your passphrase safe: it can\'t be recovered.');
+});
+
+disableEncryptionBtn.addEventListener('click', async () => {
+    if (!await checkPassphrase(currentPassphraseInput.value)) {
+        alert('Enter your current passphrase to turn encryption off.');
+        return;
+    }
+    if (!confirm('Turn encryption off? Your data will be stored unencrypted on this device.')) return;
+
+    setSecurityBusy(true);
+    securityStatus.textContent = 'Decrypting…';
+    try {
+        await disableEncryption(currentPassphraseInput.value);
+    } catch (error) {
+        console.error('Decryption failed:', error);
+        alert('Failed to turn encryption off. The data was not changed.');
+        renderSecurityStatus();
+        return;
+    } finally {
+        setSecurityBusy(false);
+    }
+    resetAutoLockTimer();
+    securityModal.close();
+});
+
+lockNowBtn.addEventListener('click', lockApp);
+
+autoLockSelect.addEventListener('change', async () => {
+    autoLockMinutes = parseInt(autoLockSelect.value, 10);
+    await setSetting('autoLockMinutes', autoLockMinutes);
+    resetAutoLockTimer();
+});
+
+// Passphrase modal
+cancelPassphraseBtn.addEventListener('click', () => {
+    passphraseModal.close();
 });
 
 // Clear data modal
@@ -715,6 +4128,7 @@ clearBtn.addEventListener('click', async () => {
         clearStartDate.value = bounds.min.toISOString().split('T')[0];
         clearEndDate.value = bounds.max.toISOString().split('T')[0];
     }
+    clearRange.options[0].textContent = formatPeriodLabel(getPeriod(), selectedPeriod);
     clearRange.value = 'current';
     clearDateRange.classList.add('hidden');
     clearModal.showModal();
@@ -738,9 +4152,7 @@ confirmClearBtn.addEventListener('click', async (e) => {
 
     let start, end;
     if (clearRange.value === 'current') {
-        const now = new Date();
-        start = new Date(now.getFullYear(), now.getMonth(), 1);
-        end = new Date(now.getFullYear(), now.getMonth() + 1, 0, 23, 59, 59, 999);
+        ({ start, end } = selectedPeriod);
     } else {
         start = new Date(clearStartDate.value);
         start.setHours(0, 0, 0, 0);
@@ -748,9 +4160,13 @@ confirmClearBtn.addEventListener('click', async (e) => {
         end.setHours(23, 59, 59, 999);
     }
 
-    const count = await deleteTransactionsByDateRange(start, end, currentBudget.id);
-    alert(`Deleted ${count} transaction(s).`);
-    await loadCurrentMonthTransactions();
+    const { count, trashId } = await deleteTransactionsByDateRange(start, end, currentBudget.id);
+    await loadSelectedPeriodTransactions();
+    if (count === 0) {
+        alert('No transactions in this range.');
+    } else {
+        showUndoSnackbar(`Deleted ${count} transaction(s)`, trashId);
+    }
 });
 
 // Delete transaction modal
@@ -764,9 +4180,13 @@ confirmDeleteTxBtn.addEventListener('click', async (e) => {
     deleteTxModal.close();
 
     if (pendingDeleteTxId !== null) {
-        await deleteTransaction(pendingDeleteTxId);
+        const trashId = await deleteTransaction(pendingDeleteTxId);
         pendingDeleteTxId = null;
-        await loadCurrentMonthTransactions();
+        await loadSelectedPeriodTransactions();
+        if (document.getElementById('search-view').classList.contains('active')) {
+            await runSearch();
+        }
+        showUndoSnackbar('Transaction deleted', trashId);
     }
 });
 
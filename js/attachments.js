@@ -0,0 +1,117 @@
+/**
+ * Attachments Module
+ * Receipt photos kept as Blobs next to their transaction. Images are
+ * downscaled and re-encoded as JPEG before saving to limit storage use.
+ */
+
+// Longest side of a saved image, in pixels
+const ATTACHMENT_MAX_DIMENSION = 1600;
+
+// JPEG quality of saved images (0-1)
+const ATTACHMENT_QUALITY = 0.8;
+
+/**
+ * Load an image file into an image element.
+ * @param {Blob} file
+ * @returns {Promise<HTMLImageElement>}
+ */
+function loadImage(file) {
+    return new Promise((resolve, reject) => {
+        const url = URL.createObjectURL(file);
+        const image = new Image();
+        image.onload = () => {
+            URL.revokeObjectURL(url);
+            resolve(image);
+        };
+        image.onerror = () => {
+            URL.revokeObjectURL(url);
+            reject(new Error(`"${file.name || 'This file'}" is not an image that can be opened.`));
+        };
+        image.src = url;
+    });
+}
+
+/**
+ * Downscale an image so its longest side fits ATTACHMENT_MAX_DIMENSION and
+ * compress it as JPEG.
+ * @param {Blob} file
+ * @returns {Promise<{ blob: Blob, width: number, height: number }>}
+ */
+async function compressImage(file) {
+    const image = await loadImage(file);
+    const scale = Math.min(1, ATTACHMENT_MAX_DIMENSION / Math.max(image.naturalWidth, image.naturalHeight));
+    const width = Math.round(image.naturalWidth * scale);
+    const height = Math.round(image.naturalHeight * scale);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const context = canvas.getContext('2d');
+    // JPEG has no transparency, so transparent areas become white rather than black
+    context.fillStyle = '#fff';
+    context.fillRect(0, 0, width, height);
+    context.drawImage(image, 0, 0, width, height);
+
+    const blob = await new Promise((resolve, reject) => {
+        canvas.toBlob((result) => {
+            if (result) resolve(result);
+            else reject(new Error('The image could not be compressed.'));
+        }, 'image/jpeg', ATTACHMENT_QUALITY);
+    });
+    return { blob, width, height };
+}
+
+/**
+ * Read a Blob as a data URL, for JSON backups.
+ * @param {Blob} blob
+ * @returns {Promise<string>}
+ */
+function blobToDataURL(blob) {
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsDataURL(blob);
+    });
+}
+
+/**
+ * Turn a base64 data URL back into a Blob.
+ * @param {string} dataURL
+ * @returns {Blob}
+ */
+function dataURLToBlob(dataURL) {
+    const [header, data] = dataURL.split(',');
+    const type = header.replace(/^data:/, '').replace(/;base64$/, '');
+    const bytes = atob(data);
+    const buffer = new Uint8Array(bytes.length);
+    for (let i = 0; i < bytes.length; i++) {
+        buffer[i] = bytes.charCodeAt(i);
+    }
+    return new Blob([buffer], { type });
+}
+
+/**
+ * Copy an attachment record for JSON, with its image as a data URL in place of
+ * the Blob. A sealed record already holds its image as text.
+ * @param {Object} attachment
+ * @returns {Promise<Object>}
+ */
+async function attachmentToJSON(attachment) {
+    if (attachment.sealed) return attachment;
+    const record = { ...attachment, data: await blobToDataURL(attachment.blob) };
+    delete record.blob;
+    return record;
+}
+
+/**
+ * Turn an attachment record from attachmentToJSON back into one with a Blob.
+ * @param {Object} json
+ * @returns {Object}
+ */
+function attachmentFromJSON(json) {
+    if (json.sealed) return json;
+    const record = { ...json, blob: dataURLToBlob(json.data) };
+    delete record.data;
+    return record;
+}
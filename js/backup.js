@@ -0,0 +1,332 @@
+/**
+ * Backup Module
+ * Versioned JSON backups of every object store, and validated restores.
+ * Attachment images are written as data URLs, since JSON can't hold Blobs.
+ * With encryption on, records are backed up sealed, along with the encryption
+ * settings, so a backup needs its passphrase to be read.
+ */
+
+const BACKUP_FORMAT = 'budgeting-app-backup';
+
+/**
+ * Upgrade steps for backups written by older versions of the app. Each step
+ * brings the stores up to its database version, mirroring what initDB and
+ * runMigrationIfNeeded do to an old database.
+ */
+const BACKUP_UPGRADES = [
+    {
+        // v2: multi-budget support. Old data moves into a default budget.
+        version: 2,
+        upgrade(stores) {
+            const settings = stores.settings || [];
+            if (!stores.budgets || stores.budgets.length === 0) {
+                const oldTarget = settings.find((s) => s.key === 'monthlyTarget');
+                stores.budgets = [{
+                    id: 1,
+                    name: 'Personal Budget',
+                    target: oldTarget ? oldTarget.value : 1000,
+                    created: Date.now()
+                }];
+                (stores.transactions || []).forEach((tx) => {
+                    if (!tx.budgetId) tx.budgetId = 1;
+                });
+                stores.settings = settings
+                    .filter((s) => s.key !== 'currentBudgetId' && s.key !== 'migrationV2Done')
+                    .concat([
+                        { key: 'currentBudgetId', value: 1 },
+                        { key: 'migrationV2Done', value: true }
+                    ]);
+            }
+        }
+    },
+    {
+        // v3: user-defined categories, seeded with the built-in ones
+        version: 3,
+        upgrade(stores) {
+            if (!stores.categories || stores.categories.length === 0) {
+                stores.categories = DEFAULT_CATEGORIES.map((category, index) => ({
+                    ...category,
+                    order: index,
+                    id: index + 1
+                }));
+            }
+        }
+    },
+    {
+        // v4: recurring rules
+        version: 4,
+        upgrade(stores) {
+            stores.recurring = stores.recurring || [];
+        }
+    },
+    {
+        // v5: trash of soft-deleted records
+        version: 5,
+        upgrade(stores) {
+            stores.trash = stores.trash || [];
+        }
+    },
+    {
+        // v6: amounts in integer minor units; older backups are all in dollars
+        version: 6,
+        upgrade(stores) {
+            const scaleAmount = (record) => {
+                record.amount = Math.round(record.amount * 100);
+            };
+            (stores.transactions || []).forEach(scaleAmount);
+            (stores.recurring || []).forEach(scaleAmount);
+            (stores.budgets || []).forEach((budget) => {
+                scaleBudgetAmounts(budget, 100);
+                budget.currency = DEFAULT_CURRENCY;
+            });
+            (stores.trash || []).forEach((entry) => {
+                if (entry.budget) {
+                    scaleBudgetAmounts(entry.budget, 100);
+                    entry.budget.currency = DEFAULT_CURRENCY;
+                }
+                entry.transactions.forEach(scaleAmount);
+                entry.recurring.forEach(scaleAmount);
+            });
+        }
+    },
+    {
+        // v7: transaction tags
+        version: 7,
+        upgrade(stores) {
+            (stores.transactions || []).forEach((tx) => {
+                tx.tags = tx.tags || [];
+            });
+        }
+    },
+    {
+        // v8: receipt attachments
+        version: 8,
+        upgrade(stores) {
+            stores.attachments = stores.attachments || [];
+        }
+    }
+];
+
+/**
+ * Build a backup of the whole database.
+ * @returns {Promise<Object>}
+ */
+async function createBackup() {
+    const stores = await getAllStoreRecords();
+    stores.attachments = await Promise.all(stores.attachments.map(attachmentToJSON));
+    return {
+        format: BACKUP_FORMAT,
+        version: DB_VERSION,
+        exportedAt: Date.now(),
+        stores
+    };
+}
+
+/**
+ * Download a backup of the whole database as a JSON file.
+ * @returns {Promise<void>}
+ */
+async function downloadBackup() {
+    const backup = await createBackup();
+    const date = new Date().toISOString().split('T')[0];
+    const blob = new Blob([JSON.stringify(backup)], { type: 'application/json' });
+    downloadBlob(blob, `budget_backup_${date}.json`);
+}
+
+/**
+ * Check that parsed JSON is a backup this app can restore.
+ * @param {any} data
+ * @throws {Error} With a message that can be shown to the user
+ */
+function validateBackup(data) {
+    if (!data || typeof data !== 'object' || data.format !== BACKUP_FORMAT) {
+        throw new Error('This file is not a budget backup.');
+    }
+    if (!Number.isInteger(data.version) || data.version < 1) {
+        throw new Error('This backup has no valid version.');
+    }
+    if (data.version > DB_VERSION) {
+        throw new Error('This backup was made by a newer version of the app. Please update first.');
+    }
+    if (!data.stores || typeof data.stores !== 'object') {
+        throw new Error('This backup has no data.');
+    }
+
+    Object.entries(data.stores).forEach(([name, records]) => {
+        if (!Array.isArray(records)) {
+            throw new Error(`The "${name}" data in this backup is damaged.`);
+        }
+    });
+
+    const isSealed = (record) => Boolean(record.sealed) && typeof record.sealed.iv === 'string'
+        && typeof record.sealed.data === 'string';
+
+    (data.stores.transactions || []).forEach((tx) => {
+        if (isSealed(tx)) {
+            if (typeof tx.timestamp !== 'number') throw new Error('This backup contains a damaged transaction.');
+            return;
+        }
+        if (typeof tx.amount !== 'number' || typeof tx.timestamp !== 'number' || typeof tx.category !== 'string') {
+            throw new Error('This backup contains a damaged transaction.');
+        }
+        if (tx.splits !== undefined && (!Array.isArray(tx.splits)
+            || tx.splits.some((line) => typeof line.amount !== 'number' || typeof line.category !== 'string')
+            || getSplitsTotal(tx.splits) !== tx.amount)) {
+            throw new Error('This backup contains a damaged split transaction.');
+        }
+        if (tx.tags !== undefined && (!Array.isArray(tx.tags) || tx.tags.some((tag) => typeof tag !== 'string'))) {
+            throw new Error('This backup contains a damaged transaction.');
+        }
+    });
+    (data.stores.budgets || []).forEach((budget) => {
+        if (typeof budget.id !== 'number' || (!isSealed(budget) && typeof budget.name !== 'string')) {
+            throw new Error('This backup contains a damaged budget.');
+        }
+    });
+    (data.stores.attachments || []).forEach((attachment) => {
+        if (typeof attachment.transactionId !== 'number' || (!isSealed(attachment)
+            && (typeof attachment.data !== 'string' || !/^data:image\/[\w.+-]+;base64,/.test(attachment.data)))) {
+            throw new Error('This backup contains a damaged attachment.');
+        }
+    });
+}
+
+/**
+ * Bring a backup written by an older version up to the current database version.
+ * @param {Object} backup - A validated backup; modified in place
+ * @returns {Object} The same backup
+ */
+function upgradeBackup(backup) {
+    BACKUP_UPGRADES.forEach((step) => {
+        if (backup.version < step.version) {
+            step.upgrade(backup.stores);
+            backup.version = step.version;
+        }
+    });
+    backup.version = DB_VERSION;
+    backup.stores.attachments = (backup.stores.attachments || []).map(attachmentFromJSON);
+    return backup;
+}
+
+/**
+ * Get the encryption settings a backup was sealed with.
+ * @param {Object} backup - A validated backup
+ * @returns {Object|null} null when the backup isn't encrypted
+ */
+function getBackupEncryption(backup) {
+    const setting = (backup.stores.settings || []).find((s) => s.key === 'encryption');
+    return setting ? setting.value : null;
+}
+
+/**
+ * Open the sealed records of an encrypted backup, in place.
+ * @param {Object} backup - An upgraded backup
+ * @param {string} passphrase - The passphrase the backup was made with
+ * @returns {Promise<void>}
+ * @throws {Error} When the passphrase is wrong
+ */
+async function openBackup(backup, passphrase) {
+    const key = await openKey(passphrase, getBackupEncryption(backup));
+    for (const storeName of Object.keys(SENSITIVE_FIELDS)) {
+        backup.stores[storeName] = await Promise.all(
+            (backup.stores[storeName] || []).map((record) => openWithKey(storeName, record, key))
+        );
+    }
+}
+
+/**
+ * Check and clean the opened records of an upgraded backup, in place, the way
+ * records from a sync server are (see cleanRecord): a backup file can come
+ * from anywhere. Sealed records are kept as they are; only someone with the
+ * passphrase can have written them.
+ * @param {Object<string, Array>} stores
+ * @throws {Error} When a record is damaged
+ */
+function cleanBackupRecords(stores) {
+    const clean = (storeName, record) => {
+        if (record.sealed !== undefined) return record;
+        const cleaned = cleanRecord(storeName, record);
+        if (!cleaned) throw new Error(`The "${storeName}" data in this backup is damaged.`);
+        return cleaned;
+    };
+
+    SYNCED_STORES.forEach((storeName) => {
+        if (stores[storeName]) stores[storeName] = stores[storeName].map((record) => clean(storeName, record));
+    });
+    stores.trash = (stores.trash || []).map((entry) => ({
+        ...entry,
+        budget: entry.budget ? clean('budgets', entry.budget) : entry.budget,
+        transactions: entry.transactions.map((record) => clean('transactions', record)),
+        recurring: entry.recurring.map((record) => clean('recurring', record))
+    }));
+}
+
+/**
+ * Copy a record under a new key.
+ * @param {Object} record
+ * @returns {Object}
+ */
+function withNewId(record) {
+    return { ...record, id: createRecordId() };
+}
+
+/**
+ * Add a backup's records to the existing data. Budgets, recurring rules,
+ * transactions and attachments get new ids and their references are remapped;
+ * categories are matched by name; local settings and trash are kept.
+ * Everything is written in one transaction, so a failed merge changes nothing.
+ * @param {Object<string, Array>} stores
+ * @returns {Promise<void>}
+ */
+async function mergeBackup(stores) {
+    const budgets = (stores.budgets || []).map(withNewId);
+    const budgetIdMap = new Map((stores.budgets || []).map((budget, i) => [budget.id, budgets[i].id]));
+
+    const existingNames = new Set((await getAllCategories()).map((c) => c.name));
+    const order = existingNames.size;
+    const categories = (stores.categories || [])
+        .filter((c) => !existingNames.has(c.name))
+        .map((c, i) => ({ ...withNewId(c), order: order + i }));
+
+    const sourceRules = (stores.recurring || []).filter((rule) => budgetIdMap.has(rule.budgetId));
+    const rules = sourceRules.map((rule) => ({ ...withNewId(rule), budgetId: budgetIdMap.get(rule.budgetId) }));
+    const ruleIdMap = new Map(sourceRules.map((rule, i) => [rule.id, rules[i].id]));
+
+    const sourceTransactions = (stores.transactions || []).filter((tx) => budgetIdMap.has(tx.budgetId));
+    const transactions = sourceTransactions.map((tx) => {
+        const record = { ...withNewId(tx), budgetId: budgetIdMap.get(tx.budgetId) };
+        if (tx.recurringId !== undefined) {
+            if (ruleIdMap.has(tx.recurringId)) record.recurringId = ruleIdMap.get(tx.recurringId);
+            else delete record.recurringId;
+        }
+        return record;
+    });
+    const transactionIdMap = new Map(sourceTransactions.map((tx, i) => [tx.id, transactions[i].id]));
+
+    const attachments = (stores.attachments || [])
+        .filter((a) => transactionIdMap.has(a.transactionId))
+        .map((attachment) => ({ ...withNewId(attachment), transactionId: transactionIdMap.get(attachment.transactionId) }));
+
+    await putRecords({ budgets, categories, recurring: rules, transactions, attachments });
+}
+
+/**
+ * Restore a validated backup. Replacing keeps an encrypted backup sealed, and
+ * the app then asks for the backup's passphrase; merging opens it first.
+ * @param {Object} backup
+ * @param {'replace' | 'merge'} mode
+ * @param {string|null} [passphrase] - The passphrase of an encrypted backup, to merge it
+ * @returns {Promise<void>}
+ * @throws {Error} When the passphrase is wrong
+ */
+async function restoreBackup(backup, mode, passphrase = null) {
+    upgradeBackup(backup);
+    if (mode === 'replace') {
+        cleanBackupRecords(backup.stores);
+        await replaceAllStoreRecords(backup.stores);
+    } else {
+        if (getBackupEncryption(backup)) await openBackup(backup, passphrase);
+        cleanBackupRecords(backup.stores);
+        await mergeBackup(backup.stores);
+    }
+}
@@ -0,0 +1,258 @@
+/**
+ * CSV Import Module using PapaParse
+ */
+
+// Header patterns used to guess which column holds which field
+const IMPORT_COLUMN_PATTERNS = {
+    amount: /amount|debit|value|sum|total/i,
+    date: /date|posted|time/i,
+    category: /category|type|class/i,
+    note: /description|note|memo|payee|merchant|details|narrative|name/i,
+    tags: /tag|label/i,
+    reference: /reference|fitid|transaction id/i
+};
+
+/**
+ * Parse a CSV file into header fields and row objects.
+ * @param {File} file
+ * @returns {Promise<{fields: Array<string>, rows: Array<Object>}>}
+ */
+function parseCSVFile(file) {
+    return new Promise((resolve, reject) => {
+        Papa.parse(file, {
+            header: true,
+            skipEmptyLines: true,
+            complete: (results) => {
+                resolve({
+                    fields: results.meta.fields || [],
+                    rows: results.data
+                });
+            },
+            error: (error) => reject(error)
+        });
+    });
+}
+
+/**
+ * Guess a column mapping from the CSV header names.
+ * @param {Array<string>} fields
+ * @returns {{ amount: string, date: string, category: string, note: string, tags: string, reference: string }}
+ */
+function guessColumnMapping(fields) {
+    const mapping = { amount: '', date: '', category: '', note: '', tags: '', reference: '' };
+    const used = new Set();
+
+    // A header named exactly after the field wins, so this app's own exports map back
+    Object.entries(IMPORT_COLUMN_PATTERNS).forEach(([key, pattern]) => {
+        const exact = fields.find((field) => !used.has(field) && field.trim().toLowerCase() === key);
+        const match = exact || fields.find((field) => !used.has(field) && pattern.test(field));
+        if (match) {
+            mapping[key] = match;
+            used.add(match);
+        }
+    });
+
+    return mapping;
+}
+
+/**
+ * Parse an amount string such as "$1,234.56", "1.234,56 €", "-12.00" or "(12.00)".
+ * @param {string} value
+ * @returns {number} NaN if the value is not a number
+ */
+function parseImportAmount(value) {
+    if (value === undefined || value === null) return NaN;
+    let text = String(value).trim();
+    if (!text) return NaN;
+
+    // Accounting style negatives: (12.00)
+    let negative = false;
+    if (/^\(.*\)$/.test(text)) {
+        negative = true;
+        text = text.slice(1, -1);
+    }
+
+    // The last "," or "." is the decimal separator unless it separates thousands:
+    // "12,50" and "1.234,56" have decimal commas, "1,234" and "1.234.567" have none
+    text = text.replace(/[^0-9.,\-]/g, '');
+    const separator = Math.max(text.lastIndexOf(','), text.lastIndexOf('.'));
+    const isDecimal = separator !== -1 && (text[separator] === '.'
+        ? text.indexOf('.') === separator
+        : text.indexOf(',') === separator && (text.includes('.') || /,\d{1,2}$/.test(text)));
+    text = isDecimal
+        ? `${text.slice(0, separator).replace(/[.,]/g, '')}.${text.slice(separator + 1)}`
+        : text.replace(/[.,]/g, '');
+    const amount = parseFloat(text);
+    if (isNaN(amount)) return NaN;
+    return negative ? -Math.abs(amount) : amount;
+}
+
+/**
+ * Parse a date string in the given field order.
+ * Dates without a time are placed at noon so they stay on the same day.
+ * @param {string} value
+ * @param {'ymd' | 'mdy' | 'dmy'} format
+ * @returns {number} Timestamp, or NaN if the value is not a date
+ */
+function parseImportDate(value, format) {
+    if (!value) return NaN;
+    const match = String(value).trim().match(
+        /^(\d{1,4})[-/.](\d{1,2})[-/.](\d{1,4})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?/
+    );
+    if (!match) return NaN;
+
+    const parts = [match[1], match[2], match[3]].map((p) => parseInt(p, 10));
+    let year, month, day;
+    if (format === 'ymd') {
+        [year, month, day] = parts;
+    } else if (format === 'dmy') {
+        [day, month, year] = parts;
+    } else {
+        [month, day, year] = parts;
+    }
+    if (year < 100) year += 2000;
+
+    const hasTime = match[4] !== undefined;
+    const date = new Date(
+        year,
+        month - 1,
+        day,
+        hasTime ? parseInt(match[4], 10) : 12,
+        hasTime ? parseInt(match[5], 10) : 0,
+        hasTime && match[6] ? parseInt(match[6], 10) : 0
+    );
+
+    // Reject rollovers such as 02/31
+    if (date.getMonth() !== month - 1 || date.getDate() !== day) return NaN;
+    return date.getTime();
+}
+
+/**
+ * Guess the date field order by checking which format parses every sample.
+ * Year first is only considered with four-digit years: a two-digit year comes
+ * last, so "01/05/26" is never read as 2001.
+ * @param {Array<string>} values
+ * @returns {'ymd' | 'mdy' | 'dmy'}
+ */
+function guessDateFormat(values) {
+    const samples = values.filter(Boolean).slice(0, 50);
+    const yearFirst = samples.every((v) => /^\d{4}[-/.]/.test(String(v).trim()));
+    const formats = yearFirst ? ['ymd', 'mdy', 'dmy'] : ['mdy', 'dmy'];
+    return formats.find((format) => samples.every((v) => !isNaN(parseImportDate(v, format)))) || 'mdy';
+}
+
+/**
+ * Map a category value from an imported file to one of the app's categories.
+ * Remembered choices win, then a case-insensitive name match, then the fallback.
+ * @param {string} sourceValue
+ * @param {Object} categoryMap - Remembered { sourceValue: category } choices
+ * @param {Array<string>} categories - Known category names
+ * @param {string} fallback
+ * @returns {string}
+ */
+function resolveImportCategory(sourceValue, categoryMap, categories, fallback) {
+    const value = (sourceValue || '').trim();
+    if (!value) return fallback;
+
+    const remembered = categoryMap[value];
+    if (remembered && categories.includes(remembered)) return remembered;
+
+    const match = categories.find((c) => c.toLowerCase() === value.toLowerCase());
+    return match || fallback;
+}
+
+/**
+ * Turn parsed CSV or statement rows into transaction candidates.
+ * @param {Array<Object>} rows
+ * @param {{ amount: string, date: string, category: string, note: string, tags: string, reference: string }} mapping
+ * @param {{ dateFormat: string, expenseSign: 'negative' | 'positive', creditType: 'skip' | 'income' | 'refund',
+ *           categoryMap: Object, categories: Array<string>, defaultCategory: string, currency: string }} options
+ * @returns {Array<Object>} Rows with amounts in minor units of the currency
+ */
+function buildImportRows(rows, mapping, options) {
+    return rows.map((row) => {
+        const rawAmount = parseImportAmount(row[mapping.amount]);
+        const timestamp = parseImportDate(row[mapping.date], options.dateFormat);
+        const sourceCategory = mapping.category ? (row[mapping.category] || '').trim() : '';
+        const note = mapping.note ? (row[mapping.note] || '').trim() : '';
+        const tags = mapping.tags ? parseTags(row[mapping.tags]) : [];
+        const importId = mapping.reference ? (row[mapping.reference] || '').trim() : '';
+
+        // Amounts with the opposite sign to expenses are credits
+        const isCredit = (options.expenseSign === 'negative') !== (rawAmount < 0);
+        const type = isCredit ? options.creditType : 'expense';
+
+        let error = null;
+        if (isNaN(rawAmount) || rawAmount === 0) {
+            error = 'Invalid amount';
+        } else if (isNaN(timestamp)) {
+            error = 'Invalid date';
+        } else if (type === 'skip') {
+            error = 'Credit';
+        }
+
+        return {
+            amount: toMinorUnits(Math.abs(rawAmount), options.currency),
+            type,
+            timestamp,
+            sourceCategory,
+            category: resolveImportCategory(sourceCategory, options.categoryMap, options.categories, options.defaultCategory),
+            note,
+            tags,
+            importId,
+            error,
+            duplicate: false
+        };
+    });
+}
+
+/**
+ * Build the key used to recognize the same transaction twice.
+ * @param {{ amount: number, timestamp: number, note?: string }} tx - amount in minor units
+ * @returns {string}
+ */
+function getDuplicateKey(tx) {
+    const date = new Date(tx.timestamp);
+    const day = `${date.getFullYear()}-${date.getMonth() + 1}-${date.getDate()}`;
+    // Notes are compared the way they are saved, so long or bracketed notes still match
+    const note = sanitizeText(tx.note).toLowerCase();
+    return `${tx.amount}|${day}|${note}`;
+}
+
+/**
+ * Flag import rows that match an existing transaction: on the reference it
+ * was imported with when the row has one, otherwise on amount, date and note.
+ * Rows of an OFX file exported by this app carry the reference of the
+ * transaction they were exported from.
+ * Each existing transaction can only account for one imported row, so two
+ * identical purchases on the same day are not both hidden by a single match.
+ * @param {Array<Object>} importRows
+ * @param {Array<Object>} existing
+ */
+function flagDuplicates(importRows, existing) {
+    const counts = {};
+    const referenceCounts = {};
+    existing.forEach((tx) => {
+        const key = getDuplicateKey(tx);
+        counts[key] = (counts[key] || 0) + 1;
+        if (tx.importId) referenceCounts[tx.importId] = (referenceCounts[tx.importId] || 0) + 1;
+        const exported = getOFXReference(tx.budgetId, tx.id);
+        referenceCounts[exported] = (referenceCounts[exported] || 0) + 1;
+    });
+
+    importRows.forEach((row) => {
+        if (row.error) return;
+        if (row.importId) {
+            if (referenceCounts[row.importId] > 0) {
+                row.duplicate = true;
+                referenceCounts[row.importId]--;
+            }
+            return;
+        }
+        const key = getDuplicateKey(row);
+        if (counts[key] > 0) {
+            row.duplicate = true;
+            counts[key]--;
+        }
+    });
+}
@@ -1,12 +1,41 @@
 /**
  * IndexedDB Wrapper for Budgeting App
- * Stores transactions, budgets, and app settings.
+ * Stores transactions, budgets, categories, recurring rules, the trash, receipt
+ * attachments, and app settings.
+ * Transactions are indexed by timestamp, category, budget, recurring rule and tag.
+ * Money amounts are integer minor units of their budget's currency.
+ * Every write to a synced store is recorded in the change log for js/sync.js.
+ * With encryption on, records are sealed on the way in and opened on the way
+ * out (see js/encryption.js). WebCrypto is asynchronous and can't run inside
+ * an IndexedDB transaction, so updates read, change and write records in
+ * separate steps. Updates touching many records check that nothing changed
+ * in between and start over otherwise (see updateRecords).
  */
 
 const DB_NAME = 'BudgetingAppDB';
-const DB_VERSION = 2; // Bumped for multi-budget support
+const DB_VERSION = 9; // Bumped for the sync change log
+
+// Categories seeded into a new or upgraded database
+const DEFAULT_CATEGORIES = [
+    { name: 'Food', emoji: '🍔', color: '#ff6b6b' },
+    { name: 'Gas', emoji: '⛽', color: '#4ecdc4' },
+    { name: 'Utilities', emoji: '💡', color: '#ffe66d' },
+    { name: 'Misc', emoji: '📦', color: '#a29bfe' },
+    { name: 'Medical', emoji: '🏥', color: '#f48fb1' },
+    { name: 'Drinks', emoji: '🍺', color: '#ffab40' }
+];
+
+// Stores shared between devices by sync; settings and the trash stay on each device
+const SYNCED_STORES = ['budgets', 'categories', 'recurring', 'transactions', 'attachments'];
+
+// Stores describing this device's sync state, left out of backups
+const DEVICE_STORES = ['changes', 'syncState'];
+
+// How often an update of many records starts over before giving up
+const MAX_UPDATE_ATTEMPTS = 5;
 
 let dbInstance = null;
+let lastRecordId = 0;
 
 /**
  * Initialize the database.
@@ -42,12 +71,22 @@ function initDB() {
                 txStore.createIndex('timestamp', 'timestamp', { unique: false });
                 txStore.createIndex('category', 'category', { unique: false });
                 txStore.createIndex('budgetId', 'budgetId', { unique: false });
-            } else if (oldVersion < 2) {
-                // Add budgetId index to existing transactions store
+                txStore.createIndex('recurringId', 'recurringId', { unique: false });
+                txStore.createIndex('tags', 'tags', { unique: false, multiEntry: true });
+            } else {
                 const txStore = transaction.objectStore('transactions');
-                if (!txStore.indexNames.contains('budgetId')) {
+                // Add budgetId index to existing transactions store
+                if (oldVersion < 2 && !txStore.indexNames.contains('budgetId')) {
                     txStore.createIndex('budgetId', 'budgetId', { unique: false });
                 }
+                // Add recurringId index (new in v4)
+                if (oldVersion < 4 && !txStore.indexNames.contains('recurringId')) {
+                    txStore.createIndex('recurringId', 'recurringId', { unique: false });
+                }
+                // Add tags index (new in v7), one entry per tag
+                if (oldVersion < 7 && !txStore.indexNames.contains('tags')) {
+                    txStore.createIndex('tags', 'tags', { unique: false, multiEntry: true });
+                }
             }
 
             // Settings store (key-value)
@@ -63,11 +102,64 @@ function initDB() {
                 });
             }
 
+            // Categories store (new in v3), seeded with the original built-in categories
+            if (!db.objectStoreNames.contains('categories')) {
+                const categoryStore = db.createObjectStore('categories', {
+                    keyPath: 'id',
+                    autoIncrement: true
+                });
+                categoryStore.createIndex('name', 'name', { unique: true });
+                DEFAULT_CATEGORIES.forEach((category, index) => {
+                    categoryStore.add({ ...category, order: index });
+                });
+            }
+
+            // Recurring rules store (new in v4)
+            if (!db.objectStoreNames.contains('recurring')) {
+                const recurringStore = db.createObjectStore('recurring', {
+                    keyPath: 'id',
+                    autoIncrement: true
+                });
+                recurringStore.createIndex('budgetId', 'budgetId', { unique: false });
+            }
+
+            // Trash store (new in v5): soft-deleted records, one entry per delete
+            if (!db.objectStoreNames.contains('trash')) {
+                const trashStore = db.createObjectStore('trash', {
+                    keyPath: 'id',
+                    autoIncrement: true
+                });
+                trashStore.createIndex('deletedAt', 'deletedAt', { unique: false });
+            }
+
+            // Attachments store (new in v8): receipt images as Blobs, by transaction
+            if (!db.objectStoreNames.contains('attachments')) {
+                const attachmentStore = db.createObjectStore('attachments', {
+                    keyPath: 'id',
+                    autoIncrement: true
+                });
+                attachmentStore.createIndex('transactionId', 'transactionId', { unique: false });
+            }
+
+            // Sync stores (new in v9): the change log, one entry per changed record, and sync state
+            if (!db.objectStoreNames.contains('changes')) {
+                const changeStore = db.createObjectStore('changes', { keyPath: 'id' });
+                changeStore.createIndex('pending', 'pending', { unique: false });
+            }
+            if (!db.objectStoreNames.contains('syncState')) {
+                db.createObjectStore('syncState', { keyPath: 'key' });
+            }
+
             // Migration from v1 to v2
             if (oldVersion < 2 && oldVersion > 0) {
                 // We need to create a default budget and migrate all transactions
                 // This is handled after onsuccess since we need to read settings first
             }
+
+            // Amounts become integer minor units (v6); everything before was in dollars
+            if (oldVersion < 6 && oldVersion > 0) {
+                scaleStoredAmounts(transaction, 100, null, DEFAULT_CURRENCY);
+            }
         };
     }).then(async (db) => {
         // Post-upgrade migration: check if we need to migrate data
@@ -91,11 +183,11 @@ async function runMigrationIfNeeded(db) {
         return;
     }
 
-    // Get old monthlyTarget setting
+    // Get old monthlyTarget setting (in dollars)
     const oldTarget = await getSettingInternal(db, 'monthlyTarget') || 1000;
 
     // Create default budget
-    const defaultBudgetId = await createBudgetInternal(db, 'Personal Budget', oldTarget);
+    const defaultBudgetId = await createBudgetInternal(db, 'Personal Budget', oldTarget * 100, DEFAULT_CURRENCY);
 
     // Update all existing transactions with the default budgetId
     await migrateTransactionsToBudget(db, defaultBudgetId);
@@ -107,6 +199,57 @@ async function runMigrationIfNeeded(db) {
     await setSettingInternal(db, 'migrationV2Done', true);
 }
 
+/**
+ * Create a key for a new record in a synced store. Keys start from the clock
+ * with random low bits, so records created on different devices don't collide.
+ * @returns {number}
+ */
+function createRecordId() {
+    lastRecordId = Math.max(lastRecordId + 1, Date.now() * 1024 + Math.floor(Math.random() * 1024));
+    return lastRecordId;
+}
+
+/**
+ * Create the key of a recurring rule's occurrence from the rule and its time,
+ * so devices that both fill in the same occurrence write the same record.
+ * @param {number} ruleId
+ * @param {number} timestamp
+ * @returns {number} A 53-bit hash
+ */
+function createOccurrenceId(ruleId, timestamp) {
+    const text = `${ruleId}:${timestamp}`;
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < text.length; i++) {
+        const ch = text.charCodeAt(i);
+        h1 = Math.imul(h1 ^ ch, 2654435761);
+        h2 = Math.imul(h2 ^ ch, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return 4294967296 * (2097151 & h2) + (h1 >>> 0);
+}
+
+/**
+ * Record a write to a synced store in the change log, as part of the write's
+ * own transaction. Writes to other stores are ignored.
+ * @param {IDBTransaction} tx - A readwrite transaction that includes 'changes'
+ * @param {string} storeName
+ * @param {number} key
+ * @param {'put' | 'delete'} op
+ */
+function logChange(tx, storeName, key, op) {
+    if (!SYNCED_STORES.includes(storeName)) return;
+    tx.objectStore('changes').put({
+        id: `${storeName}/${key}`,
+        store: storeName,
+        key,
+        op,
+        timestamp: Date.now(),
+        pending: 1
+    });
+}
+
 /**
  * Internal helper to get a setting
  */
@@ -136,14 +279,16 @@ function setSettingInternal(db, key, value) {
 /**
  * Internal helper to create a budget
  */
-function createBudgetInternal(db, name, target) {
+async function createBudgetInternal(db, name, target, currency, period = DEFAULT_PERIOD) {
+    const record = await sealRecord('budgets', { id: createRecordId(), name, target, currency, period, created: Date.now() });
     return new Promise((resolve, reject) => {
-        const tx = db.transaction('budgets', 'readwrite');
+        const tx = db.transaction(['budgets', 'changes'], 'readwrite');
         const store = tx.objectStore('budgets');
-        const record = { name, target, created: Date.now() };
-        const request = store.add(record);
-        request.onsuccess = () => resolve(request.result);
-        request.onerror = () => reject(request.error);
+        store.add(record);
+        logChange(tx, 'budgets', record.id, 'put');
+
+        tx.oncomplete = () => resolve(record.id);
+        tx.onerror = () => reject(tx.error);
     });
 }
 
@@ -165,7 +310,7 @@ function getAllBudgetsInternal(db) {
  */
 function migrateTransactionsToBudget(db, budgetId) {
     return new Promise((resolve, reject) => {
-        const tx = db.transaction('transactions', 'readwrite');
+        const tx = db.transaction(['transactions', 'changes'], 'readwrite');
         const store = tx.objectStore('transactions');
         const request = store.openCursor();
 
@@ -176,6 +321,7 @@ function migrateTransactionsToBudget(db, budgetId) {
                 if (!record.budgetId) {
                     record.budgetId = budgetId;
                     cursor.update(record);
+                    logChange(tx, 'transactions', cursor.primaryKey, 'put');
                 }
                 cursor.continue();
             } else {
@@ -186,17 +332,170 @@ function migrateTransactionsToBudget(db, budgetId) {
     });
 }
 
+/**
+ * Read records of a store, opened.
+ * @param {string} storeName
+ * @param {string|null} [indexName] - Read through an index instead of the primary key
+ * @param {any} [query] - A key or key range; everything when omitted
+ * @returns {Promise<Array<Object>>}
+ */
+async function readRecords(storeName, indexName = null, query = undefined) {
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, 'readonly');
+        const store = tx.objectStore(storeName);
+        const request = (indexName ? store.index(indexName) : store).getAll(query);
+        request.onsuccess = () => resolve(openRecords(storeName, request.result));
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Read one record by key, opened.
+ * @param {string} storeName
+ * @param {any} key
+ * @returns {Promise<Object|null>}
+ */
+async function readRecord(storeName, key) {
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeName, 'readonly');
+        const request = tx.objectStore(storeName).get(key);
+        request.onsuccess = () => resolve(request.result ? openRecord(storeName, request.result) : null);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Seal changed records and store them in one transaction, recording the changes.
+ * @param {Object<string, Array<Object>>} stores - Plain records keyed by store name;
+ *   trash entries hold plain records too
+ * @param {Object<string, Array<Object>>} [snapshot] - Stored records read before
+ *   working out the changes, from readStoredRecords; nothing is written when
+ *   those stores hold anything else by now
+ * @returns {Promise<boolean>} Whether the records were stored
+ */
+async function putRecords(stores, snapshot = {}) {
+    const sealed = {};
+    for (const [storeName, records] of Object.entries(stores)) {
+        sealed[storeName] = storeName === 'trash'
+            ? await Promise.all(records.map(sealTrashEntry))
+            : await sealRecords(storeName, records);
+    }
+
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+        const storeNames = [...new Set([...Object.keys(sealed), ...Object.keys(snapshot), 'changes'])];
+        const tx = db.transaction(storeNames, 'readwrite');
+        tx.oncomplete = () => resolve(true);
+        tx.onerror = () => reject(tx.error);
+
+        checkStoresUnchanged(tx, snapshot, (unchanged) => {
+            if (!unchanged) {
+                tx.abort();
+                resolve(false);
+                return;
+            }
+
+            // A record that can't be stored (e.g. DataCloneError) undoes the whole write
+            try {
+                Object.entries(sealed).forEach(([storeName, records]) => {
+                    records.forEach((record) => {
+                        tx.objectStore(storeName).put(record);
+                        logChange(tx, storeName, record.id, 'put');
+                    });
+                });
+            } catch (error) {
+                tx.abort();
+                reject(error);
+            }
+        });
+    });
+}
+
+/**
+ * Read every record of some stores as stored, sealed or not.
+ * @param {Array<string>} storeNames
+ * @returns {Promise<Object<string, Array>>} Records keyed by store name
+ */
+async function readStoredRecords(storeNames) {
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(storeNames, 'readonly');
+        const stores = {};
+
+        storeNames.forEach((name) => {
+            const request = tx.objectStore(name).getAll();
+            request.onsuccess = () => {
+                stores[name] = request.result;
+            };
+        });
+
+        tx.oncomplete = () => resolve(stores);
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+/**
+ * Check within a transaction that stores still hold the records of a snapshot.
+ * Records are compared as JSON, which leaves out the content of unsealed
+ * receipt images; those are never changed in place.
+ * @param {IDBTransaction} tx - Covering every store of the snapshot
+ * @param {Object<string, Array>} snapshot - From readStoredRecords
+ * @param {function(boolean)} callback - Called with whether nothing changed
+ */
+function checkStoresUnchanged(tx, snapshot, callback) {
+    const storeNames = Object.keys(snapshot);
+    if (storeNames.length === 0) {
+        callback(true);
+        return;
+    }
+
+    let pending = storeNames.length;
+    let unchanged = true;
+    storeNames.forEach((name) => {
+        const request = tx.objectStore(name).getAll();
+        request.onsuccess = () => {
+            const before = snapshot[name];
+            unchanged = unchanged && request.result.length === before.length
+                && request.result.every((record, index) => JSON.stringify(record) === JSON.stringify(before[index]));
+            pending -= 1;
+            if (pending === 0) callback(unchanged);
+        };
+    });
+}
+
+/**
+ * Work out changes from stored records and write them, starting over when a
+ * sync, a recurring bill or another tab changed the stores read meanwhile,
+ * so their writes aren't overwritten with older data.
+ * @param {Array<string>} storeNames - Every store the changes are worked out from
+ * @param {function(): Promise<Object<string, Array<Object>>>} prepare - Reads the
+ *   records and returns the plain records to put, as for putRecords
+ * @returns {Promise<void>}
+ * @throws {Error} When the records keep changing
+ */
+async function updateRecords(storeNames, prepare) {
+    for (let attempt = 0; attempt < MAX_UPDATE_ATTEMPTS; attempt++) {
+        const snapshot = await readStoredRecords(storeNames);
+        if (await putRecords(await prepare(), snapshot)) return;
+    }
+    throw new Error('The data kept changing while it was being updated. Please try again.');
+}
+
 // ============ Public Budget Methods ============
 
 /**
  * Create a new budget.
  * @param {string} name
- * @param {number} target
+ * @param {number} target - In minor units
+ * @param {string} currency - ISO 4217 code
+ * @param {Object} [period] - See getBudgetPeriod
  * @returns {Promise<number>} The new budget ID
  */
-async function createBudget(name, target = 1000) {
+async function createBudget(name, target = 100000, currency = DEFAULT_CURRENCY, period = DEFAULT_PERIOD) {
     const db = await initDB();
-    return createBudgetInternal(db, name, target);
+    return createBudgetInternal(db, name, target, currency, period);
 }
 
 /**
@@ -210,7 +509,7 @@ async function getBudget(id) {
         const tx = db.transaction('budgets', 'readonly');
         const store = tx.objectStore('budgets');
         const request = store.get(id);
-        request.onsuccess = () => resolve(request.result || null);
+        request.onsuccess = () => resolve(request.result ? openRecord('budgets', request.result) : null);
         request.onerror = () => reject(request.error);
     });
 }
@@ -221,38 +520,48 @@ async function getBudget(id) {
  */
 async function getAllBudgets() {
     const db = await initDB();
-    return getAllBudgetsInternal(db);
+    return openRecords('budgets', await getAllBudgetsInternal(db));
 }
 
 /**
- * Delete a budget and all its transactions.
+ * Move a budget, its transactions and its recurring rules to the trash.
  * @param {number} id
- * @returns {Promise<void>}
+ * @returns {Promise<number>} The trash entry ID
  */
 async function deleteBudget(id) {
     const db = await initDB();
-
-    // First delete all transactions in this budget
     return new Promise((resolve, reject) => {
-        const tx = db.transaction(['budgets', 'transactions'], 'readwrite');
+        const tx = db.transaction(['budgets', 'transactions', 'recurring', 'trash', 'changes'], 'readwrite');
         const budgetStore = tx.objectStore('budgets');
-        const txStore = tx.objectStore('transactions');
-        const budgetIdIndex = txStore.index('budgetId');
-
-        // Delete all transactions with this budgetId
-        const txRequest = budgetIdIndex.openCursor(IDBKeyRange.only(id));
-        txRequest.onsuccess = (event) => {
-            const cursor = event.target.result;
-            if (cursor) {
-                cursor.delete();
-                cursor.continue();
-            }
+        const entry = {
+            kind: 'budget',
+            budgetId: id,
+            deletedAt: Date.now(),
+            budget: null,
+            transactions: [],
+            recurring: []
         };
+        let trashId = null;
 
-        // Delete the budget itself
-        budgetStore.delete(id);
+        const budgetRequest = budgetStore.get(id);
+        budgetRequest.onsuccess = () => {
+            entry.budget = budgetRequest.result;
+            budgetStore.delete(id);
+            logChange(tx, 'budgets', id, 'delete');
 
-        tx.oncomplete = () => resolve();
+            const txRequest = tx.objectStore('transactions').index('budgetId').openCursor(IDBKeyRange.only(id));
+            deleteFromCursor(txRequest, () => true, entry.transactions, () => {
+                const ruleRequest = tx.objectStore('recurring').index('budgetId').openCursor(IDBKeyRange.only(id));
+                deleteFromCursor(ruleRequest, () => true, entry.recurring, () => {
+                    const addRequest = tx.objectStore('trash').add(entry);
+                    addRequest.onsuccess = () => {
+                        trashId = addRequest.result;
+                    };
+                });
+            });
+        };
+
+        tx.oncomplete = () => resolve(trashId);
         tx.onerror = () => reject(tx.error);
     });
 }
@@ -260,188 +569,677 @@ async function deleteBudget(id) {
 /**
  * Update a budget.
  * @param {number} id
- * @param {{ name?: string, target?: number }} updates
+ * @param {{ name?: string, target?: number, allocations?: Object, allocationMoves?: Object,
+ *           rollover?: boolean, rolloverCap?: number|null, period?: Object,
+ *           alertThresholds?: Array<number>, alertCategoryLimits?: boolean }} updates
+ *   allocations maps category names to limits; allocationMoves maps period keys
+ *   (see getPeriodKey) to per-category adjustments made during that period;
+ *   rolloverCap limits how much surplus or deficit carries into the next period
+ *   (null for no limit); period is described in getBudgetPeriod; alertThresholds
+ *   are percentages of the target that notify, also applied to category limits
+ *   when alertCategoryLimits is set
  * @returns {Promise<void>}
  */
 async function updateBudget(id, updates) {
-    const db = await initDB();
-    return new Promise((resolve, reject) => {
-        const tx = db.transaction('budgets', 'readwrite');
-        const store = tx.objectStore('budgets');
-        const getRequest = store.get(id);
+    const record = await getBudget(id);
+    if (!record) throw new Error('Budget not found');
 
-        getRequest.onsuccess = () => {
-            const record = getRequest.result;
-            if (record) {
-                if (updates.name !== undefined) record.name = updates.name;
-                if (updates.target !== undefined) record.target = updates.target;
-                const putRequest = store.put(record);
-                putRequest.onsuccess = () => resolve();
-                putRequest.onerror = () => reject(putRequest.error);
-            } else {
-                reject(new Error('Budget not found'));
-            }
-        };
-        getRequest.onerror = () => reject(getRequest.error);
+    ['name', 'target', 'allocations', 'allocationMoves', 'rollover', 'rolloverCap', 'period',
+        'alertThresholds', 'alertCategoryLimits'].forEach((field) => {
+        if (updates[field] !== undefined) record[field] = updates[field];
     });
+    await putRecords({ budgets: [record] });
 }
 
-// ============ Transaction Methods (Updated for budgetId) ============
-
 /**
- * Add a new transaction.
- * @param {{ amount: number, category: string, note?: string, budgetId: number }} transaction
- * @returns {Promise<number>} The new transaction ID
+ * Change a budget's currency, rescaling its stored amounts to the new minor
+ * units (e.g. by 0.01 going from USD cents to whole yen).
+ * @param {number} id
+ * @param {string} currency
+ * @param {number} factor
+ * @returns {Promise<void>}
  */
-async function addTransaction(transaction) {
-    const db = await initDB();
-    return new Promise((resolve, reject) => {
-        const tx = db.transaction('transactions', 'readwrite');
-        const store = tx.objectStore('transactions');
+async function setBudgetCurrency(id, currency, factor) {
+    const budget = await getBudget(id);
+    scaleBudgetAmounts(budget, factor);
+    budget.currency = currency;
 
-        const record = {
-            amount: transaction.amount,
-            category: transaction.category,
-            note: transaction.note || '',
-            budgetId: transaction.budgetId,
-            timestamp: Date.now()
-        };
-
-        const request = store.add(record);
-        request.onsuccess = () => resolve(request.result);
-        request.onerror = () => reject(request.error);
+    const transactions = await getAllTransactions(id);
+    const rules = await getAllRecurringRules(id);
+    const entries = (await getTrashEntries()).filter((entry) => entry.budgetId === id);
+    transactions.forEach((record) => scaleTransactionAmount(record, factor));
+    rules.forEach((record) => scaleTransactionAmount(record, factor));
+    entries.forEach((entry) => {
+        if (entry.budget) {
+            scaleBudgetAmounts(entry.budget, factor);
+            entry.budget.currency = currency;
+        }
+        entry.transactions.forEach((record) => scaleTransactionAmount(record, factor));
+        entry.recurring.forEach((record) => scaleTransactionAmount(record, factor));
     });
+
+    await putRecords({ budgets: [budget], transactions, recurring: rules, trash: entries });
 }
 
 /**
- * Get all transactions for a given month and budget.
- * @param {number} year
- * @param {number} month (0-indexed)
- * @param {number} budgetId
- * @returns {Promise<Array>}
+ * Multiply the amount of a transaction or recurring rule, and its split lines, in place.
+ * @param {Object} record
+ * @param {number} factor
  */
-async function getTransactionsByMonth(year, month, budgetId) {
-    const db = await initDB();
-    return new Promise((resolve, reject) => {
-        const tx = db.transaction('transactions', 'readonly');
-        const store = tx.objectStore('transactions');
-        const index = store.index('timestamp');
+function scaleTransactionAmount(record, factor) {
+    record.amount = Math.round(record.amount * factor);
+    if (isSplitTransaction(record)) record.splits = scaleSplits(record.splits, record.amount, factor);
+}
 
-        const startOfMonth = new Date(year, month, 1).getTime();
-        const endOfMonth = new Date(year, month + 1, 0, 23, 59, 59, 999).getTime();
-        const range = IDBKeyRange.bound(startOfMonth, endOfMonth);
+/**
+ * Multiply every money field of a budget record, in place.
+ * @param {Object} budget
+ * @param {number} factor
+ */
+function scaleBudgetAmounts(budget, factor) {
+    const scale = (value) => Math.round(value * factor);
+    budget.target = scale(budget.target);
+    if (typeof budget.rolloverCap === 'number') budget.rolloverCap = scale(budget.rolloverCap);
+    Object.keys(budget.allocations || {}).forEach((category) => {
+        budget.allocations[category] = scale(budget.allocations[category]);
+    });
+    Object.values(budget.allocationMoves || {}).forEach((moves) => {
+        Object.keys(moves).forEach((category) => {
+            moves[category] = scale(moves[category]);
+        });
+    });
+}
 
-        const results = [];
-        const request = index.openCursor(range);
+/**
+ * Multiply the money fields of stored records by a factor, in place in the
+ * given readwrite transaction over budgets, transactions, recurring, trash and
+ * changes. Used by the v6 upgrade, from before records could be sealed.
+ * @param {IDBTransaction} tx
+ * @param {number} factor
+ * @param {number|null} budgetId - Limit to one budget's records, or null for all
+ * @param {string} currency - Set on the scaled budgets
+ */
+function scaleStoredAmounts(tx, factor, budgetId, currency) {
+    const matches = (id) => budgetId === null || id === budgetId;
+    const scaleAmount = (record) => scaleTransactionAmount(record, factor);
+    const scaleRecord = (record) => {
+        if (!matches(record.budgetId)) return false;
+        scaleAmount(record);
+        return true;
+    };
 
+    const updateEach = (storeName, update) => {
+        const request = tx.objectStore(storeName).openCursor();
         request.onsuccess = (event) => {
             const cursor = event.target.result;
-            if (cursor) {
-                if (cursor.value.budgetId === budgetId) {
-                    results.push(cursor.value);
-                }
-                cursor.continue();
-            } else {
-                resolve(results);
+            if (!cursor) return;
+            if (update(cursor.value)) {
+                cursor.update(cursor.value);
+                logChange(tx, storeName, cursor.primaryKey, 'put');
             }
+            cursor.continue();
         };
-        request.onerror = () => reject(request.error);
+    };
+
+    updateEach('transactions', scaleRecord);
+    updateEach('recurring', scaleRecord);
+    updateEach('budgets', (record) => {
+        if (!matches(record.id)) return false;
+        scaleBudgetAmounts(record, factor);
+        record.currency = currency;
+        return true;
+    });
+    updateEach('trash', (entry) => {
+        if (!matches(entry.budgetId)) return false;
+        if (entry.budget) {
+            scaleBudgetAmounts(entry.budget, factor);
+            entry.budget.currency = entry.budget.currency || currency;
+        }
+        entry.transactions.forEach(scaleAmount);
+        entry.recurring.forEach(scaleAmount);
+        return true;
     });
 }
 
+// ============ Category Methods ============
+
 /**
- * Get all transactions for a budget (for export).
- * @param {number} budgetId
+ * Get all categories in display order.
  * @returns {Promise<Array>}
  */
-async function getAllTransactions(budgetId) {
+async function getAllCategories() {
     const db = await initDB();
     return new Promise((resolve, reject) => {
-        const tx = db.transaction('transactions', 'readonly');
-        const store = tx.objectStore('transactions');
-        const index = store.index('budgetId');
-        const request = index.getAll(budgetId);
+        const tx = db.transaction('categories', 'readonly');
+        const store = tx.objectStore('categories');
+        const request = store.getAll();
+        request.onsuccess = () => resolve(request.result.sort((a, b) => a.order - b.order));
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Create a new category.
+ * @param {{ name: string, emoji?: string, color: string }} category
+ * @returns {Promise<number>} The new category ID
+ */
+async function createCategory(category) {
+    const db = await initDB();
+    const existing = await getAllCategories();
+    const order = existing.reduce((max, c) => Math.max(max, c.order), -1) + 1;
 
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(['categories', 'changes'], 'readwrite');
+        const store = tx.objectStore('categories');
+        const record = {
+            id: createRecordId(),
+            name: category.name,
+            emoji: category.emoji || '',
+            color: category.color,
+            order
+        };
+        const request = store.add(record);
+        logChange(tx, 'categories', record.id, 'put');
         request.onsuccess = () => resolve(request.result);
         request.onerror = () => reject(request.error);
     });
 }
 
 /**
- * Get a setting value.
- * @param {string} key
- * @returns {Promise<any>}
+ * Check whether a transaction, or any of its split lines, is filed under a category.
+ * @param {Object} record
+ * @param {string} name
+ * @returns {boolean}
  */
-async function getSetting(key) {
-    const db = await initDB();
-    return getSettingInternal(db, key);
+function transactionUsesCategory(record, name) {
+    return getTransactionLines(record).some((line) => line.category === name);
 }
 
 /**
- * Set a setting value.
- * @param {string} key
- * @param {any} value
- * @returns {Promise<void>}
+ * Rewrite the category of a transaction and its split lines filed under a name, in place.
+ * @param {Object} record
+ * @param {string} fromName
+ * @param {string} toName
+ * @returns {boolean} Whether the record changed
  */
-async function setSetting(key, value) {
-    const db = await initDB();
-    return setSettingInternal(db, key, value);
+function renameTransactionCategory(record, fromName, toName) {
+    if (!transactionUsesCategory(record, fromName)) return false;
+    if (record.category === fromName) record.category = toName;
+    if (isSplitTransaction(record)) {
+        record.splits = renameSplitCategory(record.splits, fromName, toName);
+        record.category = getMainSplitCategory(record.splits);
+        // A split whose lines all merged into one category is a plain transaction again
+        if (record.splits.length === 1) delete record.splits;
+    }
+    return true;
 }
 
 /**
- * Delete a transaction by ID.
- * @param {number} id
- * @returns {Promise<void>}
+ * Move a budget's category limits from one category name to another, in place,
+ * adding them up when both names have one.
+ * @param {Object} budget
+ * @param {string} fromName
+ * @param {string} toName
+ * @returns {boolean} Whether the budget changed
  */
-async function deleteTransaction(id) {
-    const db = await initDB();
-    return new Promise((resolve, reject) => {
-        const tx = db.transaction('transactions', 'readwrite');
-        const store = tx.objectStore('transactions');
-        const request = store.delete(id);
+function renameBudgetAllocations(budget, fromName, toName) {
+    const moveKey = (map) => {
+        if (!map || map[fromName] === undefined) return false;
+        map[toName] = (map[toName] || 0) + map[fromName];
+        delete map[fromName];
+        return true;
+    };
 
-        request.onsuccess = () => resolve();
-        request.onerror = () => reject(request.error);
+    let changed = moveKey(budget.allocations);
+    Object.values(budget.allocationMoves || {}).forEach((monthMoves) => {
+        changed = moveKey(monthMoves) || changed;
     });
+    return changed;
 }
 
 /**
- * Update a transaction's note/description.
+ * Find the transactions, recurring rules and budgets that refer to a category
+ * name, renamed. Split lines are not indexed, so this reads every transaction.
+ * @param {string} fromName
+ * @param {string} toName
+ * @returns {Promise<{ transactions: Array<Object>, recurring: Array<Object>, budgets: Array<Object> }>}
+ *   The changed records
+ */
+async function renameCategoryReferences(fromName, toName) {
+    const transactions = (await readRecords('transactions'))
+        .filter((record) => renameTransactionCategory(record, fromName, toName));
+    const recurring = (await getAllRecurringRules()).filter((rule) => rule.category === fromName);
+    recurring.forEach((rule) => {
+        rule.category = toName;
+    });
+    const budgets = (await getAllBudgets()).filter((budget) => renameBudgetAllocations(budget, fromName, toName));
+    return { transactions, recurring, budgets };
+}
+
+/**
+ * Update a category. Renaming rewrites the existing transactions, recurring
+ * rules and category limits.
  * @param {number} id
- * @param {string} note
+ * @param {{ name?: string, emoji?: string, color?: string }} updates
  * @returns {Promise<void>}
  */
-async function updateTransactionNote(id, note) {
-    const db = await initDB();
-    return new Promise((resolve, reject) => {
-        const tx = db.transaction('transactions', 'readwrite');
-        const store = tx.objectStore('transactions');
-        const getRequest = store.get(id);
+async function updateCategory(id, updates) {
+    await updateRecords(['categories', 'transactions', 'recurring', 'budgets'], async () => {
+        const record = await readRecord('categories', id);
+        if (!record) throw new Error('Category not found');
 
-        getRequest.onsuccess = () => {
-            const record = getRequest.result;
-            if (record) {
-                record.note = note;
-                const putRequest = store.put(record);
-                putRequest.onsuccess = () => resolve();
-                putRequest.onerror = () => reject(putRequest.error);
-            } else {
-                reject(new Error('Transaction not found'));
-            }
-        };
-        getRequest.onerror = () => reject(getRequest.error);
+        const oldName = record.name;
+        if (updates.name !== undefined) record.name = updates.name;
+        if (updates.emoji !== undefined) record.emoji = updates.emoji;
+        if (updates.color !== undefined) record.color = updates.color;
+
+        const references = record.name !== oldName ? await renameCategoryReferences(oldName, record.name) : {};
+        return { categories: [record], ...references };
     });
 }
 
 /**
- * Get the date bounds of all transactions for a budget.
- * @param {number} budgetId
- * @returns {Promise<{min: Date|null, max: Date|null}>}
+ * Merge one category into another: its transactions, recurring rules and
+ * limits move to the target category and the source category is removed.
+ * @param {number} sourceId
+ * @param {number} targetId
+ * @returns {Promise<void>}
  */
-async function getDataDateBounds(budgetId) {
-    const db = await initDB();
-    // Get all transactions for budget and find min/max
-    const transactions = await getAllTransactions(budgetId);
+async function mergeCategories(sourceId, targetId) {
+    const source = await readRecord('categories', sourceId);
+    const target = await readRecord('categories', targetId);
+    if (!source || !target) throw new Error('Category not found');
+
+    await updateRecords(['transactions', 'recurring', 'budgets'], () => (
+        renameCategoryReferences(source.name, target.name)
+    ));
+    await deleteCategory(sourceId);
+}
+
+/**
+ * Count the transactions filed under a category, including split lines, across all budgets.
+ * @param {string} name
+ * @returns {Promise<number>}
+ */
+async function countTransactionsInCategory(name) {
+    const transactions = await readRecords('transactions');
+    return transactions.filter((record) => transactionUsesCategory(record, name)).length;
+}
+
+/**
+ * Delete a category. Callers should merge categories that are still in use.
+ * @param {number} id
+ * @returns {Promise<void>}
+ */
+async function deleteCategory(id) {
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(['categories', 'changes'], 'readwrite');
+        tx.objectStore('categories').delete(id);
+        logChange(tx, 'categories', id, 'delete');
+
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+// ============ Recurring Rule Methods ============
+
+/**
+ * Create a recurring rule.
+ * @param {{ amount: number, category: string, note?: string, budgetId: number,
+ *           frequency: 'weekly' | 'biweekly' | 'monthly' | 'yearly', dayOfMonth?: number,
+ *           startDate: number, endDate?: number|null }} rule
+ * @returns {Promise<number>} The new rule ID
+ */
+async function createRecurringRule(rule) {
+    const db = await initDB();
+    const record = await sealRecord('recurring', {
+        id: createRecordId(),
+        amount: rule.amount,
+        category: rule.category,
+        note: rule.note || '',
+        budgetId: rule.budgetId,
+        frequency: rule.frequency,
+        dayOfMonth: rule.dayOfMonth || null,
+        startDate: rule.startDate,
+        endDate: rule.endDate || null,
+        lastRun: null,
+        skipped: [],
+        created: Date.now()
+    });
+
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(['recurring', 'changes'], 'readwrite');
+        const request = tx.objectStore('recurring').add(record);
+        logChange(tx, 'recurring', record.id, 'put');
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Get all recurring rules, optionally only those of one budget.
+ * @param {number} [budgetId]
+ * @returns {Promise<Array>}
+ */
+async function getAllRecurringRules(budgetId) {
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction('recurring', 'readonly');
+        const store = tx.objectStore('recurring');
+        const request = budgetId === undefined
+            ? store.getAll()
+            : store.index('budgetId').getAll(budgetId);
+        request.onsuccess = () => resolve(openRecords('recurring', request.result));
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Update a recurring rule.
+ * @param {number} id
+ * @param {Object} updates - Any of the fields accepted by createRecurringRule, plus skipped
+ * @returns {Promise<void>}
+ */
+async function updateRecurringRule(id, updates) {
+    const record = await readRecord('recurring', id);
+    if (!record) throw new Error('Recurring rule not found');
+
+    ['amount', 'category', 'note', 'budgetId', 'frequency', 'dayOfMonth', 'startDate', 'endDate', 'skipped']
+        .forEach((field) => {
+            if (updates[field] !== undefined) record[field] = updates[field];
+        });
+    await putRecords({ recurring: [record] });
+}
+
+/**
+ * Delete a recurring rule. Transactions it already created are kept.
+ * @param {number} id
+ * @returns {Promise<void>}
+ */
+async function deleteRecurringRule(id) {
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(['recurring', 'changes'], 'readwrite');
+        tx.objectStore('recurring').delete(id);
+        logChange(tx, 'recurring', id, 'delete');
+
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+/**
+ * Write due occurrences of a rule as transactions tagged with the rule ID,
+ * and record how far the rule has run. Occurrences are keyed by rule and time
+ * (see createOccurrenceId), so filling one in again overwrites it.
+ * @param {Object} rule
+ * @param {Array<number>} timestamps
+ * @param {number} lastRun
+ * @returns {Promise<void>}
+ */
+async function addRecurringOccurrences(rule, timestamps, lastRun) {
+    const db = await initDB();
+    const occurrences = await sealRecords('transactions', timestamps.map((timestamp) => ({
+        id: createOccurrenceId(rule.id, timestamp),
+        amount: rule.amount,
+        type: 'expense',
+        category: rule.category,
+        note: rule.note || '',
+        budgetId: rule.budgetId,
+        timestamp,
+        recurringId: rule.id
+    })));
+
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(['transactions', 'recurring', 'changes'], 'readwrite');
+        const txStore = tx.objectStore('transactions');
+        const recurringStore = tx.objectStore('recurring');
+
+        occurrences.forEach((record) => {
+            txStore.put(record);
+            logChange(tx, 'transactions', record.id, 'put');
+        });
+
+        const getRequest = recurringStore.get(rule.id);
+        getRequest.onsuccess = () => {
+            const record = getRequest.result;
+            if (record) {
+                record.lastRun = lastRun;
+                recurringStore.put(record);
+                logChange(tx, 'recurring', rule.id, 'put');
+            }
+        };
+
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+// ============ Transaction Methods (Updated for budgetId) ============
+
+/**
+ * Add a new transaction. The type defaults to expense and the timestamp to now.
+ * @param {{ amount: number, type?: 'expense' | 'income' | 'refund', category: string, note?: string,
+ *           budgetId: number, timestamp?: number, splits?: Array<{ category: string, amount: number }>,
+ *           tags?: Array<string> }} transaction
+ *   splits spread the amount over several categories (see getTransactionLines); tags are normalized
+ *   with normalizeTag
+ * @returns {Promise<number>} The new transaction ID
+ */
+async function addTransaction(transaction) {
+    const db = await initDB();
+    const record = {
+        id: createRecordId(),
+        amount: transaction.amount,
+        type: transaction.type || 'expense',
+        category: transaction.category,
+        note: transaction.note || '',
+        tags: transaction.tags || [],
+        budgetId: transaction.budgetId,
+        timestamp: transaction.timestamp || Date.now()
+    };
+    if (isSplitTransaction(transaction)) record.splits = transaction.splits;
+    const sealed = await sealRecord('transactions', record);
+
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(['transactions', 'changes'], 'readwrite');
+        const request = tx.objectStore('transactions').add(sealed);
+        logChange(tx, 'transactions', record.id, 'put');
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Add several transactions at once, keeping each one's own timestamp.
+ * importId is the statement's reference for the transaction, used to spot it
+ * when the same statement is imported again.
+ * @param {Array<{ amount: number, type?: string, category: string, note?: string, tags?: Array<string>,
+ *                 budgetId: number, timestamp: number, importId?: string }>} transactions
+ * @returns {Promise<number>} Number of added transactions
+ */
+async function importTransactions(transactions) {
+    const db = await initDB();
+    const records = await sealRecords('transactions', transactions.map((transaction) => {
+        const record = {
+            id: createRecordId(),
+            amount: transaction.amount,
+            type: transaction.type || 'expense',
+            category: transaction.category,
+            note: transaction.note || '',
+            tags: transaction.tags || [],
+            budgetId: transaction.budgetId,
+            timestamp: transaction.timestamp
+        };
+        if (transaction.importId) record.importId = transaction.importId;
+        return record;
+    }));
+
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(['transactions', 'changes'], 'readwrite');
+        const store = tx.objectStore('transactions');
+
+        records.forEach((record) => {
+            store.add(record);
+            logChange(tx, 'transactions', record.id, 'put');
+        });
+
+        tx.oncomplete = () => resolve(transactions.length);
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+/**
+ * Get all transactions for a budget (for export).
+ * @param {number} budgetId
+ * @returns {Promise<Array>}
+ */
+async function getAllTransactions(budgetId) {
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction('transactions', 'readonly');
+        const store = tx.objectStore('transactions');
+        const index = store.index('budgetId');
+        const request = index.getAll(budgetId);
+
+        request.onsuccess = () => resolve(openRecords('transactions', request.result));
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Get a setting value.
+ * @param {string} key
+ * @returns {Promise<any>}
+ */
+async function getSetting(key) {
+    const db = await initDB();
+    return getSettingInternal(db, key);
+}
+
+/**
+ * Set a setting value.
+ * @param {string} key
+ * @param {any} value
+ * @returns {Promise<void>}
+ */
+async function setSetting(key, value) {
+    const db = await initDB();
+    return setSettingInternal(db, key, value);
+}
+
+/**
+ * Move a transaction to the trash. Its attachments stay in place until the
+ * trash entry is purged, so restoring it brings them back.
+ * @param {number} id
+ * @returns {Promise<number|null>} The trash entry ID, or null if there was no such transaction
+ */
+async function deleteTransaction(id) {
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(['transactions', 'trash', 'changes'], 'readwrite');
+        const store = tx.objectStore('transactions');
+        let trashId = null;
+
+        const getRequest = store.get(id);
+        getRequest.onsuccess = () => {
+            const record = getRequest.result;
+            if (!record) return;
+
+            store.delete(id);
+            logChange(tx, 'transactions', id, 'delete');
+            const addRequest = tx.objectStore('trash').add({
+                kind: 'transactions',
+                budgetId: record.budgetId,
+                deletedAt: Date.now(),
+                transactions: [record],
+                recurring: []
+            });
+            addRequest.onsuccess = () => {
+                trashId = addRequest.result;
+            };
+        };
+
+        tx.oncomplete = () => resolve(trashId);
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+/**
+ * Update fields of a transaction.
+ * @param {number} id
+ * @param {{ amount?: number, type?: string, category?: string, note?: string, timestamp?: number,
+ *           budgetId?: number, tags?: Array<string>, splits?: Array<Object>|null }} patch
+ *   null splits un-split the transaction
+ * @returns {Promise<void>}
+ */
+async function updateTransaction(id, patch) {
+    const record = await readRecord('transactions', id);
+    if (!record) throw new Error('Transaction not found');
+
+    ['amount', 'type', 'category', 'note', 'tags', 'timestamp', 'budgetId'].forEach((field) => {
+        if (patch[field] !== undefined) record[field] = patch[field];
+    });
+    if (patch.splits === null) {
+        delete record.splits;
+    } else if (patch.splits !== undefined) {
+        record.splits = patch.splits;
+    }
+    await putRecords({ transactions: [record] });
+}
+
+/**
+ * Update a transaction's note/description.
+ * @param {number} id
+ * @param {string} note
+ * @returns {Promise<void>}
+ */
+async function updateTransactionNote(id, note) {
+    return updateTransaction(id, { note });
+}
+
+/**
+ * Get every tag in use, across all budgets, in alphabetical order.
+ * @returns {Promise<Array<string>>}
+ */
+async function getAllTags() {
+    // Sealed transactions keep their tags out of the index
+    if (isEncryptionEnabled()) {
+        const transactions = await readRecords('transactions');
+        return [...new Set(transactions.flatMap(getTransactionTags))].sort();
+    }
+
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction('transactions', 'readonly');
+        const index = tx.objectStore('transactions').index('tags');
+        const tags = [];
+        const request = index.openKeyCursor(null, 'nextunique');
+
+        request.onsuccess = (event) => {
+            const cursor = event.target.result;
+            if (cursor) {
+                tags.push(cursor.key);
+                cursor.continue();
+            } else {
+                resolve(tags);
+            }
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Get the date bounds of all transactions for a budget.
+ * @param {number} budgetId
+ * @returns {Promise<{min: Date|null, max: Date|null}>}
+ */
+async function getDataDateBounds(budgetId) {
+    const db = await initDB();
+    // Get all transactions for budget and find min/max
+    const transactions = await getAllTransactions(budgetId);
     if (transactions.length === 0) {
         return { min: null, max: null };
     }
@@ -479,7 +1277,7 @@ async function getTransactionsByDateRange(startDate, endDate, budgetId) {
                 }
                 cursor.continue();
             } else {
-                resolve(results);
+                resolve(openRecords('transactions', results));
             }
         };
         request.onerror = () => reject(request.error);
@@ -487,36 +1285,766 @@ async function getTransactionsByDateRange(startDate, endDate, budgetId) {
 }
 
 /**
- * Delete transactions within a date range for a budget.
+ * Move the transactions within a date range for a budget to the trash, as one entry.
  * @param {Date} startDate
  * @param {Date} endDate
  * @param {number} budgetId
- * @returns {Promise<number>} Number of deleted transactions
+ * @returns {Promise<{ count: number, trashId: number|null }>} Number of deleted transactions
+ *   and the trash entry ID (null when nothing matched)
  */
 async function deleteTransactionsByDateRange(startDate, endDate, budgetId) {
     const db = await initDB();
     return new Promise((resolve, reject) => {
-        const tx = db.transaction('transactions', 'readwrite');
-        const store = tx.objectStore('transactions');
-        const index = store.index('timestamp');
-
+        const tx = db.transaction(['transactions', 'trash', 'changes'], 'readwrite');
+        const index = tx.objectStore('transactions').index('timestamp');
         const range = IDBKeyRange.bound(startDate.getTime(), endDate.getTime());
-        let count = 0;
-        const request = index.openCursor(range);
+        const records = [];
+        let trashId = null;
 
-        request.onsuccess = (event) => {
-            const cursor = event.target.result;
-            if (cursor) {
-                if (cursor.value.budgetId === budgetId) {
-                    cursor.delete();
-                    count++;
+        deleteFromCursor(index.openCursor(range), (record) => record.budgetId === budgetId, records, () => {
+            if (records.length === 0) return;
+            const addRequest = tx.objectStore('trash').add({
+                kind: 'transactions',
+                budgetId,
+                deletedAt: Date.now(),
+                transactions: records,
+                recurring: []
+            });
+            addRequest.onsuccess = () => {
+                trashId = addRequest.result;
+            };
+        });
+
+        tx.oncomplete = () => resolve({ count: records.length, trashId });
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+// ============ Trash Methods ============
+
+/**
+ * Delete the records a cursor walks over that pass a filter, collecting them.
+ * Deletes from synced stores are recorded in the change log.
+ * @param {IDBRequest} request - An openCursor request in a readwrite transaction that includes 'changes'
+ * @param {function(Object): boolean} filter
+ * @param {Array<Object>} records - Receives the deleted records
+ * @param {function(): void} done - Called once the cursor is exhausted
+ */
+function deleteFromCursor(request, filter, records, done) {
+    request.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (cursor) {
+            if (filter(cursor.value)) {
+                // Cursors over an index have the index as their source
+                const store = request.source.objectStore || request.source;
+                records.push(cursor.value);
+                cursor.delete();
+                logChange(request.transaction, store.name, cursor.primaryKey, 'delete');
+            }
+            cursor.continue();
+        } else {
+            done();
+        }
+    };
+}
+
+/**
+ * Get all trash entries, most recently deleted first.
+ * @returns {Promise<Array>}
+ */
+async function getTrashEntries() {
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction('trash', 'readonly');
+        const request = tx.objectStore('trash').getAll();
+
+        request.onsuccess = () => {
+            const entries = request.result.sort((a, b) => b.deletedAt - a.deletedAt);
+            resolve(Promise.all(entries.map(openTrashEntry)));
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Put the records of a trash entry back where they were, keeping their IDs.
+ * Transactions can only be restored while their budget exists.
+ * @param {number} id - Trash entry ID
+ * @returns {Promise<Object>} The restored entry
+ */
+async function restoreTrashEntry(id) {
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(['trash', 'budgets', 'transactions', 'recurring', 'changes'], 'readwrite');
+        const trashStore = tx.objectStore('trash');
+        let entry = null;
+        let failure = null;
+
+        const restore = () => {
+            const putBack = (storeName, record) => {
+                tx.objectStore(storeName).put(record);
+                logChange(tx, storeName, record.id, 'put');
+            };
+            if (entry.budget) putBack('budgets', entry.budget);
+            entry.transactions.forEach((record) => putBack('transactions', record));
+            entry.recurring.forEach((record) => putBack('recurring', record));
+            trashStore.delete(id);
+        };
+
+        const getRequest = trashStore.get(id);
+        getRequest.onsuccess = () => {
+            entry = getRequest.result;
+            if (!entry) {
+                failure = new Error('This item is no longer in the trash.');
+                tx.abort();
+                return;
+            }
+            if (entry.kind === 'budget') {
+                restore();
+                return;
+            }
+
+            const budgetRequest = tx.objectStore('budgets').get(entry.budgetId);
+            budgetRequest.onsuccess = () => {
+                if (!budgetRequest.result) {
+                    failure = new Error('The budget these transactions belonged to was deleted. Restore the budget first.');
+                    tx.abort();
+                    return;
                 }
-                cursor.continue();
+                restore();
+            };
+        };
+
+        tx.oncomplete = () => resolve(openTrashEntry(entry));
+        tx.onabort = () => reject(failure || tx.error);
+    });
+}
+
+/**
+ * Delete the attachments of the transactions in trash entries that are being purged.
+ * @param {IDBTransaction} tx - A readwrite transaction over 'attachments' and 'changes'
+ * @param {Array<Object>} entries - Trash entries
+ */
+function deleteTrashedAttachments(tx, entries) {
+    const store = tx.objectStore('attachments');
+    entries.forEach((entry) => {
+        entry.transactions.forEach((record) => {
+            const request = store.index('transactionId').getAllKeys(record.id);
+            request.onsuccess = () => request.result.forEach((key) => {
+                store.delete(key);
+                logChange(tx, 'attachments', key, 'delete');
+            });
+        });
+    });
+}
+
+/**
+ * Permanently delete a trash entry and the attachments of its transactions.
+ * @param {number} id
+ * @returns {Promise<void>}
+ */
+async function purgeTrashEntry(id) {
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(['trash', 'attachments', 'changes'], 'readwrite');
+        const trashStore = tx.objectStore('trash');
+
+        const getRequest = trashStore.get(id);
+        getRequest.onsuccess = () => {
+            if (!getRequest.result) return;
+            deleteTrashedAttachments(tx, [getRequest.result]);
+            trashStore.delete(id);
+        };
+
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+/**
+ * Permanently delete every trash entry.
+ * @returns {Promise<void>}
+ */
+async function emptyTrash() {
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(['trash', 'attachments', 'changes'], 'readwrite');
+        const purged = [];
+
+        deleteFromCursor(tx.objectStore('trash').openCursor(), () => true, purged, () => {
+            deleteTrashedAttachments(tx, purged);
+        });
+
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+/**
+ * Permanently delete trash entries deleted before a cutoff.
+ * @param {number} cutoff - Timestamp
+ * @returns {Promise<number>} Number of purged entries
+ */
+async function purgeTrashBefore(cutoff) {
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(['trash', 'attachments', 'changes'], 'readwrite');
+        const index = tx.objectStore('trash').index('deletedAt');
+        const purged = [];
+
+        deleteFromCursor(index.openCursor(IDBKeyRange.upperBound(cutoff, true)), () => true, purged, () => {
+            deleteTrashedAttachments(tx, purged);
+        });
+
+        tx.oncomplete = () => resolve(purged.length);
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+// ============ Attachment Methods ============
+
+/**
+ * Store images for a transaction.
+ * @param {number} transactionId
+ * @param {Array<{ blob: Blob, width: number, height: number }>} images - See compressImage
+ * @returns {Promise<Array<number>>} The new attachment IDs
+ */
+async function addAttachments(transactionId, images) {
+    return addStoreRecords('attachments', images.map((image) => ({
+        transactionId,
+        blob: image.blob,
+        type: image.blob.type,
+        width: image.width,
+        height: image.height,
+        created: Date.now()
+    })));
+}
+
+/**
+ * Get a transaction's attachments, oldest first.
+ * @param {number} transactionId
+ * @returns {Promise<Array<{ id: number, transactionId: number, blob: Blob, type: string,
+ *                           width: number, height: number, created: number }>>}
+ */
+async function getAttachments(transactionId) {
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction('attachments', 'readonly');
+        const request = tx.objectStore('attachments').index('transactionId').getAll(transactionId);
+
+        request.onsuccess = () => resolve(openRecords('attachments', request.result));
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Delete an attachment.
+ * @param {number} id
+ * @returns {Promise<void>}
+ */
+async function deleteAttachment(id) {
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(['attachments', 'changes'], 'readwrite');
+        tx.objectStore('attachments').delete(id);
+        logChange(tx, 'attachments', id, 'delete');
+
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+// ============ Encryption Methods ============
+
+/**
+ * Rewrite every record with sensitive fields, including those held by trash
+ * entries, and store new encryption settings along with them in one
+ * transaction. The records' contents don't change, so nothing is logged for sync.
+ * It starts over when records changed while they were being transformed.
+ * @param {function(string, Object): Promise<Object>} transform - Turns a stored record of a store into the one to store
+ * @param {Object|null} settings - Encryption settings to store, or null to remove them
+ * @returns {Promise<void>}
+ * @throws {Error} When the records keep changing
+ */
+async function rewriteSensitiveRecords(transform, settings) {
+    const storeNames = [...Object.keys(SENSITIVE_FIELDS), 'trash'];
+    for (let attempt = 0; attempt < MAX_UPDATE_ATTEMPTS; attempt++) {
+        const stores = await readStoredRecords(storeNames);
+
+        const rewritten = {};
+        for (const name of Object.keys(SENSITIVE_FIELDS)) {
+            rewritten[name] = await Promise.all(stores[name].map((record) => transform(name, record)));
+        }
+        rewritten.trash = await Promise.all(stores.trash.map(async (entry) => ({
+            ...entry,
+            budget: entry.budget ? await transform('budgets', entry.budget) : entry.budget,
+            transactions: await Promise.all(entry.transactions.map((record) => transform('transactions', record))),
+            recurring: await Promise.all(entry.recurring.map((record) => transform('recurring', record)))
+        })));
+
+        if (await writeRewrittenRecords(rewritten, settings, stores)) return;
+    }
+    throw new Error('The data kept changing while it was being encrypted. Please try again.');
+}
+
+/**
+ * Store rewritten records together with the encryption settings they match,
+ * unless the stores changed since they were read.
+ * @param {Object<string, Array>} rewritten - Records keyed by store name
+ * @param {Object|null} settings - See rewriteSensitiveRecords
+ * @param {Object<string, Array>} snapshot - The stored records they were worked out from
+ * @returns {Promise<boolean>} Whether they were stored
+ */
+async function writeRewrittenRecords(rewritten, settings, snapshot) {
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction([...Object.keys(rewritten), 'settings'], 'readwrite');
+        tx.oncomplete = () => resolve(true);
+        tx.onerror = () => reject(tx.error);
+
+        checkStoresUnchanged(tx, snapshot, (unchanged) => {
+            if (!unchanged) {
+                tx.abort();
+                resolve(false);
+                return;
+            }
+
+            Object.entries(rewritten).forEach(([name, records]) => {
+                const store = tx.objectStore(name);
+                records.forEach((record) => store.put(record));
+            });
+            const settingsStore = tx.objectStore('settings');
+            if (settings) {
+                settingsStore.put({ key: 'encryption', value: settings });
             } else {
-                resolve(count);
+                settingsStore.delete('encryption');
             }
+        });
+    });
+}
+
+// ============ Record Checks ============
+
+/**
+ * Check the fields of an opened record from outside the app, a sync server or
+ * a backup file, and clean its text the way the app cleans what is typed in.
+ * Names, categories and notes end up in the page's HTML.
+ * @param {string} storeName - A synced store
+ * @param {Object} record
+ * @returns {Object|null} A cleaned copy, or null when a field has the wrong type
+ */
+function cleanRecord(storeName, record) {
+    if (typeof record.id !== 'number') return null;
+
+    const fields = RECORD_FIELDS[storeName];
+    const valid = Object.entries(fields).every(([field, check]) => {
+        const value = record[field];
+        if (value === undefined || value === null) return !REQUIRED_RECORD_FIELDS[storeName].includes(field);
+        return check(value);
+    });
+    if (!valid) return null;
+
+    const clean = { ...record };
+    if (storeName === 'transactions' || storeName === 'recurring') {
+        clean.category = sanitizeText(record.category);
+        if (typeof record.note === 'string') clean.note = sanitizeText(record.note);
+        if (Array.isArray(record.tags)) clean.tags = [...new Set(record.tags.map(normalizeTag).filter(Boolean))];
+        if (Array.isArray(record.splits)) {
+            clean.splits = record.splits.map((line) => ({ category: sanitizeText(line.category), amount: line.amount }));
+        }
+    } else if (storeName === 'budgets') {
+        clean.name = sanitizeText(record.name);
+        if (record.allocations) clean.allocations = cleanCategoryKeys(record.allocations);
+        if (record.allocationMoves) {
+            clean.allocationMoves = {};
+            Object.entries(record.allocationMoves).forEach(([periodKey, moves]) => {
+                clean.allocationMoves[sanitizeText(periodKey)] = cleanCategoryKeys(moves);
+            });
+        }
+    } else if (storeName === 'categories') {
+        clean.name = sanitizeText(record.name);
+        if (typeof record.emoji === 'string') clean.emoji = sanitizeText(record.emoji).substring(0, 8);
+    }
+    return clean;
+}
+
+/**
+ * Clean the category names a budget's limits are keyed by.
+ * @param {Object<string, number>} map
+ * @returns {Object<string, number>}
+ */
+function cleanCategoryKeys(map) {
+    const clean = {};
+    Object.entries(map).forEach(([category, amount]) => {
+        clean[sanitizeText(category)] = amount;
+    });
+    return clean;
+}
+
+/**
+ * Check for a finite number.
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isFiniteNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * Check for a string.
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isString(value) {
+    return typeof value === 'string';
+}
+
+/**
+ * Check for a map of category names to amounts.
+ * @param {any} value
+ * @returns {boolean}
+ */
+function isAmountMap(value) {
+    return typeof value === 'object' && !Array.isArray(value) && Object.values(value).every(isFiniteNumber);
+}
+
+// Type checks of the fields of each synced store's records
+const RECORD_FIELDS = {
+    transactions: {
+        amount: isFiniteNumber,
+        type: (value) => ['expense', 'income', 'refund'].includes(value),
+        category: isString,
+        note: isString,
+        tags: (value) => Array.isArray(value) && value.every(isString),
+        splits: (value) => Array.isArray(value)
+            && value.every((line) => line && isString(line.category) && isFiniteNumber(line.amount)),
+        budgetId: isFiniteNumber,
+        timestamp: isFiniteNumber,
+        recurringId: isFiniteNumber,
+        importId: isString
+    },
+    budgets: {
+        name: isString,
+        target: isFiniteNumber,
+        currency: (value) => CURRENCIES.includes(value),
+        period: (value) => typeof value === 'object' && PERIOD_TYPES.includes(value.type)
+            && (value.startDay === undefined || isFiniteNumber(value.startDay))
+            && (value.anchor === undefined || isFiniteNumber(value.anchor)),
+        created: isFiniteNumber,
+        allocations: isAmountMap,
+        allocationMoves: (value) => typeof value === 'object' && Object.values(value).every(isAmountMap),
+        rollover: (value) => typeof value === 'boolean',
+        rolloverCap: isFiniteNumber,
+        alertThresholds: (value) => Array.isArray(value) && value.every(isFiniteNumber),
+        alertCategoryLimits: (value) => typeof value === 'boolean'
+    },
+    categories: {
+        name: isString,
+        emoji: isString,
+        // Colors go into style attributes
+        color: (value) => /^#([0-9a-f]{3}){1,2}$/i.test(value),
+        order: isFiniteNumber
+    },
+    recurring: {
+        amount: isFiniteNumber,
+        category: isString,
+        note: isString,
+        budgetId: isFiniteNumber,
+        frequency: (value) => Object.keys(RECURRING_FREQUENCIES).includes(value),
+        dayOfMonth: isFiniteNumber,
+        startDate: isFiniteNumber,
+        endDate: isFiniteNumber,
+        lastRun: isFiniteNumber,
+        skipped: (value) => Array.isArray(value) && value.every(isFiniteNumber),
+        created: isFiniteNumber
+    },
+    attachments: {
+        transactionId: isFiniteNumber,
+        blob: (value) => value instanceof Blob,
+        type: isString,
+        width: isFiniteNumber,
+        height: isFiniteNumber,
+        created: isFiniteNumber
+    }
+};
+
+// Fields a record can't do without
+const REQUIRED_RECORD_FIELDS = {
+    transactions: ['amount', 'category', 'budgetId', 'timestamp'],
+    budgets: ['name', 'target'],
+    categories: ['name', 'color'],
+    recurring: ['amount', 'category', 'budgetId', 'frequency', 'startDate'],
+    attachments: ['transactionId', 'blob']
+};
+
+// ============ Backup Methods ============
+
+/**
+ * Get every record of every object store, except this device's sync state.
+ * @returns {Promise<Object<string, Array>>} Records keyed by store name
+ */
+async function getAllStoreRecords() {
+    const db = await initDB();
+    return readStoredRecords([...db.objectStoreNames].filter((name) => !DEVICE_STORES.includes(name)));
+}
+
+/**
+ * Replace the whole database with the given records, keeping their keys.
+ * Stores missing from the input are left empty; this device's sync state is kept.
+ * @param {Object<string, Array>} stores
+ * @returns {Promise<void>}
+ */
+async function replaceAllStoreRecords(stores) {
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+        const storeNames = [...db.objectStoreNames].filter((name) => !DEVICE_STORES.includes(name));
+        const tx = db.transaction([...storeNames, 'changes'], 'readwrite');
+
+        storeNames.forEach((name) => {
+            const store = tx.objectStore(name);
+            const keysRequest = store.getAllKeys();
+            keysRequest.onsuccess = () => {
+                keysRequest.result.forEach((key) => logChange(tx, name, key, 'delete'));
+                store.clear();
+                (stores[name] || []).forEach((record) => {
+                    store.put(record);
+                    logChange(tx, name, record.id, 'put');
+                });
+            };
+        });
+
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+/**
+ * Add records to a synced store under new keys.
+ * @param {string} storeName
+ * @param {Array<Object>} records - Plain records without an id
+ * @returns {Promise<Array<number>>} The new keys, in input order
+ */
+async function addStoreRecords(storeName, records) {
+    const db = await initDB();
+    const sealed = await sealRecords(storeName, records.map((record) => ({ ...record, id: createRecordId() })));
+
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction([storeName, 'changes'], 'readwrite');
+        const store = tx.objectStore(storeName);
+        const keys = sealed.map((record) => {
+            store.add(record);
+            logChange(tx, storeName, record.id, 'put');
+            return record.id;
+        });
+
+        tx.oncomplete = () => resolve(keys);
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+// ============ Sync Methods ============
+
+/**
+ * Get a value of this device's sync state.
+ * @param {string} key
+ * @returns {Promise<any>} null when unset
+ */
+async function getSyncState(key) {
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction('syncState', 'readonly');
+        const request = tx.objectStore('syncState').get(key);
+        request.onsuccess = () => resolve(request.result ? request.result.value : null);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Set a value of this device's sync state.
+ * @param {string} key
+ * @param {any} value
+ * @returns {Promise<void>}
+ */
+async function setSyncState(key, value) {
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction('syncState', 'readwrite');
+        const request = tx.objectStore('syncState').put({ key, value });
+        request.onsuccess = () => resolve();
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Get the changes not yet sent to the sync server, with each changed record
+ * as it is now (null when it no longer exists).
+ * @returns {Promise<Array<{ change: Object, record: Object|null }>>}
+ */
+async function getPendingChanges() {
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(['changes', ...SYNCED_STORES], 'readonly');
+        const pending = [];
+
+        const request = tx.objectStore('changes').index('pending').getAll(1);
+        request.onsuccess = () => {
+            request.result.forEach((change) => {
+                const item = { change, record: null };
+                pending.push(item);
+                if (change.op === 'delete') return;
+                const getRequest = tx.objectStore(change.store).get(change.key);
+                getRequest.onsuccess = () => {
+                    item.record = getRequest.result || null;
+                };
+            });
         };
+
+        tx.oncomplete = () => resolve(pending);
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+/**
+ * Count the changes not yet sent to the sync server.
+ * @returns {Promise<number>}
+ */
+async function countPendingChanges() {
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction('changes', 'readonly');
+        const request = tx.objectStore('changes').index('pending').count(1);
+        request.onsuccess = () => resolve(request.result);
         request.onerror = () => reject(request.error);
     });
 }
 
+/**
+ * Mark changes as sent, unless their record was changed again since they were read.
+ * @param {Array<Object>} changes - Change log entries from getPendingChanges
+ * @returns {Promise<void>}
+ */
+async function markChangesSynced(changes) {
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction('changes', 'readwrite');
+        const store = tx.objectStore('changes');
+
+        changes.forEach((change) => {
+            const request = store.get(change.id);
+            request.onsuccess = () => {
+                const current = request.result;
+                if (current && current.timestamp === change.timestamp) {
+                    store.put({ ...current, pending: 0 });
+                }
+            };
+        });
+
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+/**
+ * Record every existing synced record as a pending change, so the first device
+ * of a sync space uploads all of its data.
+ * @returns {Promise<void>}
+ */
+async function logAllRecords() {
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(['changes', ...SYNCED_STORES], 'readwrite');
+
+        SYNCED_STORES.forEach((storeName) => {
+            const request = tx.objectStore(storeName).getAllKeys();
+            request.onsuccess = () => request.result.forEach((key) => logChange(tx, storeName, key, 'put'));
+        });
+
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+/**
+ * Delete every synced record and the change log, before this device takes
+ * over the data of an existing sync space.
+ * @returns {Promise<void>}
+ */
+async function clearSyncedRecords() {
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(['changes', ...SYNCED_STORES], 'readwrite');
+        ['changes', ...SYNCED_STORES].forEach((storeName) => tx.objectStore(storeName).clear());
+
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+    });
+}
+
+/**
+ * Order two versions of a record: the later timestamp wins, and the higher
+ * device ID breaks ties so every device picks the same one.
+ * @param {{ timestamp: number, deviceId: string }} a
+ * @param {{ timestamp: number, deviceId: string }} b
+ * @returns {number} Positive when a wins
+ */
+function compareChanges(a, b) {
+    return (a.timestamp - b.timestamp) || a.deviceId.localeCompare(b.deviceId);
+}
+
+/**
+ * Apply changes from other devices. A change only replaces the local version
+ * of its record when it wins compareChanges, so devices converge on the same
+ * data whatever order they sync in. A category whose name is already used by
+ * a different local category is skipped.
+ * @param {Array<{ store: string, key: number, op: 'put' | 'delete', record?: Object,
+ *                 timestamp: number, deviceId: string }>} changes
+ * @param {string} deviceId - This device's ID, the author of local changes
+ * @returns {Promise<number>} Number of applied changes
+ */
+async function applyRemoteChanges(changes, deviceId) {
+    // Only the winning change of each record matters
+    const latest = new Map();
+    changes.forEach((change) => {
+        if (!SYNCED_STORES.includes(change.store)) return;
+        const id = `${change.store}/${change.key}`;
+        if (!latest.has(id) || compareChanges(change, latest.get(id)) > 0) latest.set(id, change);
+    });
+
+    const db = await initDB();
+    return new Promise((resolve, reject) => {
+        const tx = db.transaction(['changes', ...SYNCED_STORES], 'readwrite');
+        const changeStore = tx.objectStore('changes');
+        let applied = 0;
+
+        latest.forEach((change, id) => {
+            const getRequest = changeStore.get(id);
+            getRequest.onsuccess = () => {
+                const local = getRequest.result;
+                if (local && compareChanges({ deviceId, ...local }, change) >= 0) return;
+
+                const store = tx.objectStore(change.store);
+                const writeRequest = change.op === 'delete' ? store.delete(change.key) : store.put(change.record);
+                writeRequest.onsuccess = () => {
+                    changeStore.put({
+                        id,
+                        store: change.store,
+                        key: change.key,
+                        op: change.op,
+                        timestamp: change.timestamp,
+                        deviceId: change.deviceId,
+                        pending: 0
+                    });
+                    applied++;
+                };
+                // A clash on the unique category name; keep the local category
+                writeRequest.onerror = (event) => {
+                    event.preventDefault();
+                    event.stopPropagation();
+                };
+            };
+        });
+
+        tx.oncomplete = () => resolve(applied);
+        tx.onerror = () => reject(tx.error);
+    });
+}
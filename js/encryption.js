@@ -0,0 +1,386 @@
+/**
+ * Encryption Module
+ * Opt-in encryption at rest. A key derived from a passphrase (PBKDF2) seals
+ * the sensitive fields of stored records with AES-GCM: a sealed record keeps
+ * its key, timestamps and references in the clear for the indexes, and the
+ * rest in `sealed`. The key only lives in memory while the app is unlocked.
+ * Sync and recurring bills pause while every record is sealed again (see
+ * isEncryptionChanging), so nothing is written with the old key meanwhile.
+ */
+
+// Fields of each store's records that are sealed
+const SENSITIVE_FIELDS = {
+    transactions: ['amount', 'category', 'note', 'tags', 'splits', 'importId'],
+    budgets: ['name', 'target', 'allocations', 'allocationMoves', 'rolloverCap'],
+    recurring: ['amount', 'category', 'note'],
+    attachments: ['blob']
+};
+
+const PBKDF2_ITERATIONS = 310000;
+
+// Text sealed with the key when encryption is turned on, to check passphrases
+const PASSPHRASE_CHECK = 'budgeting-app';
+
+let encryptionSettings = null; // { salt, iterations, check, fields } while encryption is on
+let encryptionKey = null; // CryptoKey while unlocked
+let encryptionChanging = false; // While records are sealed again, see switchEncryption
+
+/**
+ * Encode bytes as base64.
+ * @param {ArrayBuffer|Uint8Array} bytes
+ * @returns {string}
+ */
+function bytesToBase64(bytes) {
+    const array = new Uint8Array(bytes);
+    let text = '';
+    for (let i = 0; i < array.length; i++) {
+        text += String.fromCharCode(array[i]);
+    }
+    return btoa(text);
+}
+
+/**
+ * Decode base64 to bytes.
+ * @param {string} base64
+ * @returns {Uint8Array}
+ */
+function base64ToBytes(base64) {
+    const text = atob(base64);
+    const bytes = new Uint8Array(text.length);
+    for (let i = 0; i < text.length; i++) {
+        bytes[i] = text.charCodeAt(i);
+    }
+    return bytes;
+}
+
+/**
+ * Derive the AES-GCM key for a passphrase.
+ * @param {string} passphrase
+ * @param {{ salt: string, iterations: number }} settings
+ * @returns {Promise<CryptoKey>}
+ */
+async function deriveKey(passphrase, settings) {
+    const material = await crypto.subtle.importKey(
+        'raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']
+    );
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt: base64ToBytes(settings.salt), iterations: settings.iterations, hash: 'SHA-256' },
+        material,
+        { name: 'AES-GCM', length: 256 },
+        false,
+        ['encrypt', 'decrypt']
+    );
+}
+
+/**
+ * Encrypt text.
+ * @param {CryptoKey} key
+ * @param {string} text
+ * @returns {Promise<{ iv: string, data: string }>} Base64 IV and ciphertext
+ */
+async function encryptText(key, text) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+    return { iv: bytesToBase64(iv), data: bytesToBase64(data) };
+}
+
+/**
+ * Decrypt text from encryptText.
+ * @param {CryptoKey} key
+ * @param {{ iv: string, data: string }} sealed
+ * @returns {Promise<string>}
+ * @throws {Error} When the key is wrong or the data was altered
+ */
+async function decryptText(key, sealed) {
+    try {
+        const data = await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: base64ToBytes(sealed.iv) }, key, base64ToBytes(sealed.data)
+        );
+        return new TextDecoder().decode(data);
+    } catch (error) {
+        throw new Error('The data could not be decrypted with this passphrase.');
+    }
+}
+
+/**
+ * Read whether encryption is on. Call before reading any records.
+ * @returns {Promise<boolean>}
+ */
+async function loadEncryptionSettings() {
+    encryptionSettings = await getSetting('encryption');
+    return Boolean(encryptionSettings);
+}
+
+/**
+ * Check whether encryption is on.
+ * @returns {boolean}
+ */
+function isEncryptionEnabled() {
+    return Boolean(encryptionSettings);
+}
+
+/**
+ * Get what identifies the key in use: its salt, new with every passphrase.
+ * @returns {string|null} null while encryption is off
+ */
+function getEncryptionKeyId() {
+    return encryptionSettings ? encryptionSettings.salt : null;
+}
+
+/**
+ * Derive the key for a passphrase and check it against encryption settings.
+ * @param {string} passphrase
+ * @param {{ salt: string, iterations: number, check: Object }} settings
+ * @returns {Promise<CryptoKey>}
+ * @throws {Error} When the passphrase is wrong
+ */
+async function openKey(passphrase, settings) {
+    const key = await deriveKey(passphrase, settings);
+    try {
+        if (await decryptText(key, settings.check) === PASSPHRASE_CHECK) return key;
+    } catch (error) {
+        // Reported below
+    }
+    throw new Error('Wrong passphrase.');
+}
+
+/**
+ * Unlock the app with the passphrase.
+ * @param {string} passphrase
+ * @returns {Promise<void>}
+ * @throws {Error} When the passphrase is wrong
+ */
+async function unlockEncryption(passphrase) {
+    encryptionKey = await openKey(passphrase, encryptionSettings);
+    await sealNewSensitiveFields();
+}
+
+/**
+ * Seal fields that became sensitive after the records were sealed, such as
+ * the import references of transactions. The settings remember which fields
+ * were sealed, so this rewrites the records only once per change to them.
+ * @returns {Promise<void>}
+ */
+async function sealNewSensitiveFields() {
+    if (JSON.stringify(encryptionSettings.fields) === JSON.stringify(SENSITIVE_FIELDS)) return;
+
+    await switchEncryption(async (storeName, record) => (
+        sealWithKey(storeName, await openWithKey(storeName, record, encryptionKey), encryptionKey)
+    ), { ...encryptionSettings, fields: SENSITIVE_FIELDS }, encryptionKey);
+}
+
+/**
+ * Tell whether records are being sealed again, for an encryption or passphrase change.
+ * @returns {boolean}
+ */
+function isEncryptionChanging() {
+    return encryptionChanging;
+}
+
+/**
+ * Rewrite every record with sensitive fields and start using new encryption
+ * settings and key. A sync in progress finishes first, and syncs and
+ * recurring bills wait until the switch is done.
+ * @param {function(string, Object): Promise<Object>} transform - See rewriteSensitiveRecords
+ * @param {Object|null} settings - null turns encryption off
+ * @param {CryptoKey|null} key
+ * @returns {Promise<void>}
+ */
+async function switchEncryption(transform, settings, key) {
+    encryptionChanging = true;
+    try {
+        await waitForSync();
+        await rewriteSensitiveRecords(transform, settings);
+        encryptionSettings = settings;
+        encryptionKey = key;
+    } finally {
+        encryptionChanging = false;
+    }
+}
+
+/**
+ * Forget the key. Reload the app afterwards so no decrypted data stays in memory.
+ */
+function lockEncryption() {
+    encryptionKey = null;
+}
+
+/**
+ * Create encryption settings and the key for a new passphrase.
+ * @param {string} passphrase
+ * @returns {Promise<{ settings: Object, key: CryptoKey }>}
+ */
+async function createEncryptionSettings(passphrase) {
+    const settings = {
+        salt: bytesToBase64(crypto.getRandomValues(new Uint8Array(16))),
+        iterations: PBKDF2_ITERATIONS,
+        fields: SENSITIVE_FIELDS
+    };
+    const key = await deriveKey(passphrase, settings);
+    settings.check = await encryptText(key, PASSPHRASE_CHECK);
+    return { settings, key };
+}
+
+/**
+ * Seal a record's sensitive fields with a key.
+ * @param {string} storeName
+ * @param {Object} record - A record that isn't sealed
+ * @param {CryptoKey} key
+ * @returns {Promise<Object>} A sealed copy
+ */
+async function sealWithKey(storeName, record, key) {
+    const fields = SENSITIVE_FIELDS[storeName];
+    if (!fields || !record || record.sealed) return record;
+
+    const sealed = { ...record };
+    const secret = {};
+    for (const field of fields) {
+        if (record[field] === undefined) continue;
+        // JSON can't hold Blobs
+        secret[field] = record[field] instanceof Blob ? await blobToDataURL(record[field]) : record[field];
+        delete sealed[field];
+    }
+    sealed.sealed = await encryptText(key, JSON.stringify(secret));
+    return sealed;
+}
+
+/**
+ * Open a sealed record with a key.
+ * @param {string} storeName
+ * @param {Object} record
+ * @param {CryptoKey} key
+ * @returns {Promise<Object>} A plain copy, or the record itself when it isn't sealed
+ */
+async function openWithKey(storeName, record, key) {
+    if (!record || !record.sealed) return record;
+
+    const secret = JSON.parse(await decryptText(key, record.sealed));
+    if (storeName === 'attachments' && secret.blob) secret.blob = dataURLToBlob(secret.blob);
+    const opened = { ...record, ...secret };
+    delete opened.sealed;
+    return opened;
+}
+
+/**
+ * Seal a record on its way into the database when encryption is on.
+ * @param {string} storeName
+ * @param {Object} record
+ * @returns {Promise<Object>}
+ * @throws {Error} While the app is locked
+ */
+async function sealRecord(storeName, record) {
+    if (!encryptionSettings) return record;
+    if (!encryptionKey) throw new Error('The app is locked.');
+    return sealWithKey(storeName, record, encryptionKey);
+}
+
+/**
+ * Open a record read from the database.
+ * @param {string} storeName
+ * @param {Object} record
+ * @returns {Promise<Object>}
+ * @throws {Error} When the record is sealed and the app is locked
+ */
+async function openRecord(storeName, record) {
+    if (!record || !record.sealed) return record;
+    if (!encryptionKey) throw new Error('The app is locked.');
+    return openWithKey(storeName, record, encryptionKey);
+}
+
+/**
+ * Seal several records of a store.
+ * @param {string} storeName
+ * @param {Array<Object>} records
+ * @returns {Promise<Array<Object>>}
+ */
+function sealRecords(storeName, records) {
+    return Promise.all(records.map((record) => sealRecord(storeName, record)));
+}
+
+/**
+ * Open several records of a store.
+ * @param {string} storeName
+ * @param {Array<Object>} records
+ * @returns {Promise<Array<Object>>}
+ */
+function openRecords(storeName, records) {
+    return Promise.all(records.map((record) => openRecord(storeName, record)));
+}
+
+/**
+ * Open the records held by a trash entry.
+ * @param {Object} entry
+ * @returns {Promise<Object>} A copy with plain records
+ */
+async function openTrashEntry(entry) {
+    return {
+        ...entry,
+        budget: entry.budget ? await openRecord('budgets', entry.budget) : entry.budget,
+        transactions: await openRecords('transactions', entry.transactions),
+        recurring: await openRecords('recurring', entry.recurring)
+    };
+}
+
+/**
+ * Seal the records held by a trash entry.
+ * @param {Object} entry
+ * @returns {Promise<Object>} A copy with sealed records
+ */
+async function sealTrashEntry(entry) {
+    return {
+        ...entry,
+        budget: entry.budget ? await sealRecord('budgets', entry.budget) : entry.budget,
+        transactions: await sealRecords('transactions', entry.transactions),
+        recurring: await sealRecords('recurring', entry.recurring)
+    };
+}
+
+/**
+ * Check a passphrase against the one in use.
+ * @param {string} passphrase
+ * @returns {Promise<boolean>}
+ */
+async function checkPassphrase(passphrase) {
+    try {
+        await openKey(passphrase, encryptionSettings);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Turn encryption on, sealing every stored record.
+ * @param {string} passphrase
+ * @returns {Promise<void>}
+ */
+async function enableEncryption(passphrase) {
+    const { settings, key } = await createEncryptionSettings(passphrase);
+    await switchEncryption((storeName, record) => sealWithKey(storeName, record, key), settings, key);
+}
+
+/**
+ * Change the passphrase, sealing every record again with the new key.
+ * @param {string} currentPassphrase
+ * @param {string} newPassphrase
+ * @returns {Promise<void>}
+ * @throws {Error} When the current passphrase is wrong
+ */
+async function changePassphrase(currentPassphrase, newPassphrase) {
+    const oldKey = await openKey(currentPassphrase, encryptionSettings);
+    const { settings, key } = await createEncryptionSettings(newPassphrase);
+    await switchEncryption(async (storeName, record) => (
+        sealWithKey(storeName, await openWithKey(storeName, record, oldKey), key)
+    ), settings, key);
+}
+
+/**
+ * Turn encryption off, storing every record in the clear again.
+ * @param {string} passphrase
+ * @returns {Promise<void>}
+ * @throws {Error} When the passphrase is wrong
+ */
+async function disableEncryption(passphrase) {
+    const key = await openKey(passphrase, encryptionSettings);
+    await switchEncryption((storeName, record) => openWithKey(storeName, record, key), null, null);
+}
@@ -0,0 +1,392 @@
+/**
+ * Export Module
+ * Writes transactions in one of several formats. Every format works from the
+ * same export rows (see buildExportRows), so adding one means adding an entry
+ * to EXPORT_FORMATS. CSV is written with PapaParse.
+ */
+
+// Columns of CSV and JSON exports, in file order
+const EXPORT_COLUMNS = [
+    { key: 'id', label: 'ID' },
+    { key: 'date', label: 'Date' },
+    { key: 'time', label: 'Time' },
+    { key: 'amount', label: 'Amount' },
+    { key: 'currency', label: 'Currency' },
+    { key: 'type', label: 'Type' },
+    { key: 'category', label: 'Category' },
+    { key: 'note', label: 'Note' },
+    { key: 'tags', label: 'Tags' },
+    { key: 'budget', label: 'Budget' }
+];
+
+// Columns of a CSV or JSON export when none are chosen
+const DEFAULT_EXPORT_COLUMNS = ['id', 'date', 'time', 'amount', 'currency', 'type', 'category', 'note', 'tags'];
+
+// CSV field delimiters
+const EXPORT_DELIMITERS = {
+    comma: ',',
+    semicolon: ';',
+    tab: '\t'
+};
+
+const EXPORT_FORMATS = {
+    csv: {
+        label: 'CSV',
+        extension: 'csv',
+        mimeType: 'text/csv;charset=utf-8',
+        usesColumns: true,
+        build: buildCSVExport
+    },
+    json: {
+        label: 'JSON',
+        extension: 'json',
+        mimeType: 'application/json',
+        usesColumns: true,
+        build: buildJSONExport
+    },
+    qif: {
+        label: 'QIF (Quicken, GnuCash)',
+        extension: 'qif',
+        mimeType: 'application/qif',
+        usesColumns: false,
+        build: buildQIFExport
+    },
+    ofx: {
+        label: 'OFX (bank statement)',
+        extension: 'ofx',
+        mimeType: 'application/x-ofx',
+        usesColumns: false,
+        build: buildOFXExport
+    }
+};
+
+/**
+ * Format a time of day as ISO-8601 "HH:MM:SS".
+ * @param {Date} date
+ * @returns {string}
+ */
+function formatTimeKey(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+/**
+ * Tell whether a transaction or split line is an expense. Records from before
+ * income support have no type and are expenses.
+ * @param {{ type?: string }} row
+ * @returns {boolean}
+ */
+function isExpenseRow(row) {
+    return (row.type || 'expense') === 'expense';
+}
+
+/**
+ * Get the signed amount of a transaction or split line in major units:
+ * expenses are negative, income and refunds positive.
+ * @param {{ amount: number, type?: string }} row
+ * @param {string} currency
+ * @returns {string} Decimal with a point, e.g. "-12.50"
+ */
+function formatSignedAmount(row, currency) {
+    const sign = isExpenseRow(row) ? '-' : '';
+    return sign + formatMoneyInput(row.amount, currency);
+}
+
+/**
+ * Turn transactions into export rows, each with its budget's name and currency.
+ * @param {Array<Object>} transactions
+ * @param {Map<number, Object>} budgets - Budgets of the transactions, by ID
+ * @param {'purchase' | 'split'} splitMode - One row per purchase, keeping its split lines
+ *   in `splits`, or one row per split line sharing the purchase's ID
+ * @returns {Array<Object>}
+ */
+function buildExportRows(transactions, budgets, splitMode) {
+    return transactions.flatMap((tx) => {
+        const budget = budgets.get(tx.budgetId);
+        const base = {
+            ...tx,
+            budget: budget ? budget.name : '',
+            currency: getBudgetCurrency(budget),
+            tags: getTransactionTags(tx)
+        };
+        if (splitMode !== 'split' || !isSplitTransaction(tx)) return [base];
+        return tx.splits.map((line) => ({ ...base, ...line, splits: undefined }));
+    });
+}
+
+/**
+ * Get the value of an export column for a row, typed for JSON.
+ * @param {Object} row - From buildExportRows
+ * @param {string} key - An EXPORT_COLUMNS key
+ * @returns {any}
+ */
+function getExportValue(row, key) {
+    const date = new Date(row.timestamp);
+    switch (key) {
+        case 'date':
+            return formatDateKey(date);
+        case 'time':
+            return formatTimeKey(date);
+        case 'amount':
+            return toMajorUnits(row.amount, row.currency);
+        case 'type':
+            return row.type || 'expense';
+        case 'category':
+            return isSplitTransaction(row) ? row.splits.map((line) => line.category).join(' / ') : row.category;
+        case 'note':
+            return row.note || '';
+        default:
+            return row[key];
+    }
+}
+
+/**
+ * Write rows as CSV with ISO-8601 dates and plain decimal amounts.
+ * @param {Array<Object>} rows
+ * @param {{ columns: Array<string>, delimiter: string }} options
+ * @returns {string}
+ */
+function buildCSVExport(rows, options) {
+    const columns = EXPORT_COLUMNS.filter((column) => options.columns.includes(column.key));
+    const data = rows.map((row) => columns.map(({ key }) => {
+        if (key === 'amount') return formatMoneyInput(row.amount, row.currency);
+        if (key === 'tags') return formatTags(row.tags);
+        return getExportValue(row, key);
+    }));
+
+    return Papa.unparse({ fields: columns.map((column) => column.label), data }, {
+        delimiter: EXPORT_DELIMITERS[options.delimiter] || ',',
+        newline: '\r\n'
+    });
+}
+
+/**
+ * Write rows as JSON. Purchases keep their split lines under "splits".
+ * @param {Array<Object>} rows
+ * @param {{ columns: Array<string> }} options
+ * @returns {string}
+ */
+function buildJSONExport(rows, options) {
+    const columns = EXPORT_COLUMNS.filter((column) => options.columns.includes(column.key));
+    const transactions = rows.map((row) => {
+        const item = {};
+        columns.forEach(({ key }) => {
+            item[key] = getExportValue(row, key);
+        });
+        if (isSplitTransaction(row) && options.columns.includes('category')) {
+            item.splits = row.splits.map((line) => ({
+                category: line.category,
+                amount: toMajorUnits(line.amount, row.currency)
+            }));
+        }
+        return item;
+    });
+
+    return JSON.stringify({ exportedAt: new Date().toISOString(), transactions }, null, 2);
+}
+
+/**
+ * Group rows by budget, keeping the order of first appearance.
+ * @param {Array<Object>} rows
+ * @returns {Array<Array<Object>>}
+ */
+function groupRowsByBudget(rows) {
+    const groups = new Map();
+    rows.forEach((row) => {
+        if (!groups.has(row.budgetId)) groups.set(row.budgetId, []);
+        groups.get(row.budgetId).push(row);
+    });
+    return [...groups.values()];
+}
+
+/**
+ * Write rows as QIF, one bank account per budget. The note becomes the payee,
+ * and split purchases use QIF split lines.
+ * @param {Array<Object>} rows - Built with splitMode 'purchase'
+ * @returns {string}
+ */
+function buildQIFExport(rows) {
+    const lines = [];
+    groupRowsByBudget(rows).forEach((budgetRows) => {
+        lines.push('!Account', `N${budgetRows[0].budget}`, 'TBank', '^', '!Type:Bank');
+        budgetRows.forEach((row) => {
+            const date = new Date(row.timestamp);
+            lines.push(`D${date.getMonth() + 1}/${date.getDate()}/${date.getFullYear()}`);
+            lines.push(`T${formatSignedAmount(row, row.currency)}`);
+            if (row.note) lines.push(`P${row.note}`);
+            if (row.tags.length > 0) lines.push(`M${formatTags(row.tags)}`);
+            if (isSplitTransaction(row)) {
+                row.splits.forEach((line) => {
+                    lines.push(`S${line.category}`, `$${formatSignedAmount({ ...line, type: row.type }, row.currency)}`);
+                });
+            } else {
+                lines.push(`L${row.category}`);
+            }
+            lines.push('^');
+        });
+    });
+    return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Escape text for an OFX (XML) value.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeOFX(text) {
+    return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Format a date as an OFX date-time, "YYYYMMDDHHMMSS" in local time.
+ * @param {Date} date
+ * @returns {string}
+ */
+function formatOFXDate(date) {
+    return formatDateKey(date).replace(/-/g, '') + formatTimeKey(date).replace(/:/g, '');
+}
+
+/**
+ * Write rows as an OFX 2 bank statement, one account per budget with the
+ * budget ID as account number. The note becomes the payee name and the
+ * category the memo; transaction IDs become FITIDs, so importing the file
+ * again into the same budget recognizes every transaction (see flagDuplicates).
+ * @param {Array<Object>} rows - Built with splitMode 'purchase'
+ * @returns {string}
+ */
+function buildOFXExport(rows) {
+    const now = formatOFXDate(new Date());
+    const statements = groupRowsByBudget(rows).map((budgetRows) => {
+        const first = budgetRows[0];
+        const timestamps = budgetRows.map((row) => row.timestamp);
+        const net = budgetRows.reduce((sum, row) => sum + (isExpenseRow(row) ? -row.amount : row.amount), 0);
+        const transactions = budgetRows.map((row) => [
+            '<STMTTRN>',
+            `<TRNTYPE>${isExpenseRow(row) ? 'DEBIT' : 'CREDIT'}</TRNTYPE>`,
+            `<DTPOSTED>${formatOFXDate(new Date(row.timestamp))}</DTPOSTED>`,
+            `<TRNAMT>${formatSignedAmount(row, row.currency)}</TRNAMT>`,
+            `<FITID>${row.id}</FITID>`,
+            `<NAME>${escapeOFX((row.note || getExportValue(row, 'category')).slice(0, 32))}</NAME>`,
+            `<MEMO>${escapeOFX(getExportValue(row, 'category'))}</MEMO>`,
+            '</STMTTRN>'
+        ].join('\n'));
+
+        return [
+            '<STMTTRNRS><TRNUID>0</TRNUID><STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>',
+            `<STMTRS><CURDEF>${first.currency}</CURDEF>`,
+            `<BANKACCTFROM><BANKID>0</BANKID><ACCTID>${first.budgetId}</ACCTID><ACCTTYPE>CHECKING</ACCTTYPE></BANKACCTFROM>`,
+            '<BANKTRANLIST>',
+            `<DTSTART>${formatOFXDate(new Date(Math.min(...timestamps)))}</DTSTART>`,
+            `<DTEND>${formatOFXDate(new Date(Math.max(...timestamps)))}</DTEND>`,
+            ...transactions,
+            '</BANKTRANLIST>',
+            // A budget has no balance, so report the net of the exported transactions
+            `<LEDGERBAL><BALAMT>${formatMoneyInput(net, first.currency)}</BALAMT><DTASOF>${now}</DTASOF></LEDGERBAL>`,
+            '</STMTRS></STMTTRNRS>'
+        ].join('\n');
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+        '<?OFX OFXHEADER="200" VERSION="211" SECURITY="NONE" OLDFILEUID="NONE" NEWFILEUID="NONE"?>',
+        '<OFX>',
+        '<SIGNONMSGSRSV1><SONRS><STATUS><CODE>0</CODE><SEVERITY>INFO</SEVERITY></STATUS>',
+        `<DTSERVER>${now}</DTSERVER><LANGUAGE>ENG</LANGUAGE></SONRS></SIGNONMSGSRSV1>`,
+        '<BANKMSGSRSV1>',
+        ...statements,
+        '</BANKMSGSRSV1>',
+        '</OFX>'
+    ].join('\n') + '\n';
+}
+
+/**
+ * Export transactions in a format and trigger the download.
+ * @param {Array<Object>} transactions
+ * @param {string} filename - Name for the downloaded file, without extension
+ * @param {Array<Object>} budgets - The budgets the transactions belong to
+ * @param {{ format?: string, columns?: Array<string>, delimiter?: string,
+ *           splitMode?: 'purchase' | 'split' }} [options] - splitMode only applies to CSV and JSON;
+ *   the budget column is always written for several budgets
+ */
+function exportTransactions(transactions, filename, budgets, options = {}) {
+    if (!transactions || transactions.length === 0) {
+        alert('No transactions to export.');
+        return;
+    }
+
+    const format = EXPORT_FORMATS[options.format] || EXPORT_FORMATS.csv;
+    const splitMode = format.usesColumns ? options.splitMode || 'purchase' : 'purchase';
+    const rows = buildExportRows(transactions, new Map(budgets.map((budget) => [budget.id, budget])), splitMode);
+    let columns = options.columns && options.columns.length > 0 ? options.columns : DEFAULT_EXPORT_COLUMNS;
+    // The rows of several budgets can't be told apart without their budget
+    if (budgets.length > 1 && !columns.includes('budget')) columns = [...columns, 'budget'];
+    const content = format.build(rows, { columns, delimiter: options.delimiter || 'comma' });
+
+    const blob = new Blob([content], { type: format.mimeType });
+    downloadBlob(blob, `${filename}.${format.extension}`);
+}
+
+/**
+ * Trigger a browser download of a Blob.
+ * @param {Blob} blob
+ * @param {string} filename
+ */
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.style.display = 'none';
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Async wrapper for export job. Gets data and exports.
+ * 'current' and 'previous' are the periods of each budget around referenceDate.
+ * @param {'current' | 'previous' | 'all' | 'custom'} range
+ * @param {Array<number>} budgetIds
+ * @param {Date} [referenceDate] - Date in the period that 'current' and 'previous' are relative to
+ * @param {{ start?: Date, end?: Date }} [options] - The range for 'custom', plus the
+ *   options of exportTransactions
+ */
+async function runExportJob(range, budgetIds, referenceDate = new Date(), options = {}) {
+    const transactions = [];
+    let filename = 'budget_export';
+
+    try {
+        const budgets = await Promise.all(budgetIds.map((budgetId) => getBudget(budgetId)));
+        for (const budget of budgets) {
+            const period = getBudgetPeriod(budget);
+            if (range === 'current' || range === 'previous') {
+                let bounds = getPeriodBounds(period, referenceDate);
+                if (range === 'previous') bounds = getAdjacentPeriodBounds(period, bounds, -1);
+                transactions.push(...await getTransactionsByDateRange(bounds.start, bounds.end, budget.id));
+                if (budget !== budgets[0]) continue;
+                if (isCalendarMonthPeriod(period)) {
+                    const monthName = bounds.start.toLocaleString('default', { month: 'long' });
+                    filename = `budget_${monthName}_${bounds.start.getFullYear()}`;
+                } else {
+                    filename = `budget_${formatDateKey(bounds.start)}_to_${formatDateKey(bounds.end)}`;
+                }
+            } else if (range === 'custom') {
+                transactions.push(...await getTransactionsByDateRange(options.start, options.end, budget.id));
+                const name = budgets.length === 1 ? budget.name : 'all';
+                filename = `budget_${name}_${formatDateKey(options.start)}_to_${formatDateKey(options.end)}`;
+            } else {
+                transactions.push(...await getAllTransactions(budget.id));
+                filename = `budget_all_data_${referenceDate.getFullYear()}`;
+            }
+        }
+
+        transactions.sort((a, b) => a.timestamp - b.timestamp);
+        exportTransactions(transactions, filename, budgets, options);
+    } catch (error) {
+        console.error('Export failed:', error);
+        alert('Failed to export data. Please try again.');
+    }
+}
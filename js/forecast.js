@@ -0,0 +1,66 @@
+/**
+ * Forecast Module
+ * Projects where a period in progress will end up from the pace so far.
+ * Recurring bills and one-off large purchases don't repeat day by day, so
+ * they count once at their actual amount; only the rest, the variable daily
+ * spending, is extrapolated over the days left.
+ */
+
+const DAY_MS = 86400000;
+
+// Purchases of at least this share of the target count as one-off large items
+const LARGE_ITEM_SHARE = 0.1;
+
+/**
+ * Tell whether a transaction is fixed spending rather than part of the daily pace.
+ * @param {Object} tx
+ * @param {number} largeAmount - Minor units from which a purchase is a large item
+ * @returns {boolean}
+ */
+function isFixedSpending(tx, largeAmount) {
+    if (tx.recurringId !== undefined && tx.recurringId !== null) return true;
+    return largeAmount > 0 && getSpendingAmount(tx) >= largeAmount;
+}
+
+/**
+ * Forecast a period's spending at its end and how much can still be spent per day.
+ * @param {Array<Object>} transactions - The period's transactions so far
+ * @param {{ start: Date, end: Date }} bounds
+ * @param {number} target - Minor units, including any rolled over amount
+ * @param {number} committed - Recurring bills still to come in the period, in minor units
+ * @param {number} [now] - Timestamp inside the period
+ * @returns {{ spent: number, fixed: number, variable: number, dailyPace: number,
+ *             projected: number, daysLeft: number, safePerDay: number }} Amounts in minor units
+ */
+function forecastPeriod(transactions, bounds, target, committed, now = Date.now()) {
+    const largeAmount = target * LARGE_ITEM_SHARE;
+    let fixed = 0;
+    let variable = 0;
+    transactions.forEach((tx) => {
+        if (isFixedSpending(tx, largeAmount)) {
+            fixed += getSpendingAmount(tx);
+        } else {
+            variable += getSpendingAmount(tx);
+        }
+    });
+    const spent = fixed + variable;
+
+    // At least a day has passed, so the first purchases of a period don't set a runaway pace
+    const elapsedDays = Math.max(1, (now - bounds.start.getTime()) / DAY_MS);
+    const remainingDays = Math.max(0, (bounds.end.getTime() + 1 - now) / DAY_MS);
+    const dailyPace = Math.max(0, variable) / elapsedDays;
+
+    // Today counts as a day left to spend on
+    const daysLeft = Math.max(1, Math.ceil(remainingDays));
+    const available = Math.max(0, target - spent - committed);
+
+    return {
+        spent,
+        fixed,
+        variable,
+        dailyPace: Math.round(dailyPace),
+        projected: Math.round(spent + dailyPace * remainingDays + committed),
+        daysLeft,
+        safePerDay: Math.floor(available / daysLeft)
+    };
+}
@@ -0,0 +1,85 @@
+/**
+ * Money Module
+ * Amounts are stored as integer minor units (cents for USD, yen for JPY) and
+ * formatted with the budget's currency in the user's locale.
+ */
+
+// Currencies offered for budgets
+const CURRENCIES = ['USD', 'EUR', 'GBP', 'JPY', 'CAD', 'AUD', 'CHF', 'SEK', 'NOK', 'DKK', 'PLN', 'MXN', 'INR', 'KRW'];
+
+const DEFAULT_CURRENCY = 'USD';
+
+/**
+ * Get the currency of a budget, defaulting for budgets from before currencies.
+ * @param {Object} [budget]
+ * @returns {string}
+ */
+function getBudgetCurrency(budget) {
+    return (budget && budget.currency) || DEFAULT_CURRENCY;
+}
+
+/**
+ * Get how many decimal places a currency uses (2 for USD, 0 for JPY).
+ * @param {string} currency
+ * @returns {number}
+ */
+function getMinorUnitDigits(currency) {
+    return new Intl.NumberFormat('en', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits;
+}
+
+/**
+ * Convert an amount in major units (e.g. 12.34 dollars) to integer minor units.
+ * @param {number} major
+ * @param {string} currency
+ * @returns {number}
+ */
+function toMinorUnits(major, currency) {
+    return Math.round(major * 10 ** getMinorUnitDigits(currency));
+}
+
+/**
+ * Convert integer minor units back to major units.
+ * @param {number} minor
+ * @param {string} currency
+ * @returns {number}
+ */
+function toMajorUnits(minor, currency) {
+    return minor / 10 ** getMinorUnitDigits(currency);
+}
+
+/**
+ * Format minor units as money in the user's locale, e.g. "$1,234.50" or "¥1,235".
+ * @param {number} minor
+ * @param {string} currency
+ * @param {{ whole?: boolean }} [options] - whole drops the minor units
+ * @returns {string}
+ */
+function formatMoney(minor, currency, options = {}) {
+    const formatOptions = { style: 'currency', currency };
+    if (options.whole) {
+        formatOptions.minimumFractionDigits = 0;
+        formatOptions.maximumFractionDigits = 0;
+    }
+    return new Intl.NumberFormat(undefined, formatOptions).format(toMajorUnits(minor, currency));
+}
+
+/**
+ * Get the symbol of a currency in the user's locale, e.g. "$" or "€".
+ * @param {string} currency
+ * @returns {string}
+ */
+function getCurrencySymbol(currency) {
+    const parts = new Intl.NumberFormat(undefined, { style: 'currency', currency }).formatToParts(0);
+    const symbol = parts.find((part) => part.type === 'currency');
+    return symbol ? symbol.value : currency;
+}
+
+/**
+ * Format minor units as a plain number for an input field, e.g. "12.50".
+ * @param {number} minor
+ * @param {string} currency
+ * @returns {string}
+ */
+function formatMoneyInput(minor, currency) {
+    return toMajorUnits(minor, currency).toFixed(getMinorUnitDigits(currency));
+}
@@ -0,0 +1,63 @@
+/**
+ * Overview Module
+ * Combines every budget's current period for the "All budgets" view: each
+ * budget against its own target, spending per category across budgets and
+ * one transaction list. Budgets can use different currencies, so combined
+ * amounts are kept per currency instead of being added up.
+ */
+
+/**
+ * Combine the budgets' periods into one overview.
+ * @param {Array<{ budget: Object, bounds: { start: Date, end: Date }, target: number,
+ *                 transactions: Array<Object> }>} entries - One per budget; target includes any rollover
+ * @returns {{ budgets: Array<{ budget: Object, bounds: Object, target: number, spent: number }>,
+ *             categories: Array<{ category: string, totals: Object }>,
+ *             spent: Object, targets: Object,
+ *             transactions: Array<{ tx: Object, budget: Object }> }}
+ *   spent, targets and category totals map currency codes to minor units;
+ *   transactions are newest first
+ */
+function buildOverview(entries) {
+    const categoryTotals = {};
+    const spent = {};
+    const targets = {};
+    const transactions = [];
+
+    const budgets = entries.map((entry) => {
+        const currency = getBudgetCurrency(entry.budget);
+        const budgetSpent = getTotalSpent(entry.transactions);
+        spent[currency] = (spent[currency] || 0) + budgetSpent;
+        targets[currency] = (targets[currency] || 0) + Math.max(0, entry.target);
+
+        entry.transactions.forEach((tx) => {
+            getSpendingLines(tx).forEach((line) => {
+                const totals = categoryTotals[line.category] || (categoryTotals[line.category] = {});
+                totals[currency] = (totals[currency] || 0) + line.amount;
+            });
+            transactions.push({ tx, budget: entry.budget });
+        });
+
+        return { budget: entry.budget, bounds: entry.bounds, target: entry.target, spent: budgetSpent };
+    });
+
+    // Categories fully offset by refunds have nothing to show
+    const categories = Object.entries(categoryTotals)
+        .filter(([, totals]) => Object.values(totals).some((amount) => amount > 0))
+        .map(([category, totals]) => ({ category, totals }));
+
+    transactions.sort((a, b) => b.tx.timestamp - a.tx.timestamp);
+
+    return { budgets, categories, spent, targets, transactions };
+}
+
+/**
+ * Format amounts in several currencies, e.g. "$120 + €30".
+ * @param {Object} totals - Currency codes to minor units
+ * @param {Object} [options] - See formatMoney
+ * @returns {string}
+ */
+function formatCurrencyTotals(totals, options) {
+    return Object.entries(totals)
+        .map(([currency, amount]) => formatMoney(amount, currency, options))
+        .join(' + ');
+}
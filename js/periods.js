@@ -0,0 +1,188 @@
+/**
+ * Periods Module
+ * Works out the budget period (calendar month, pay cycle, week...) that a date
+ * falls in. Every view, export and clear action gets its bounds from here.
+ */
+
+// Period types offered for budgets
+const PERIOD_TYPES = ['monthly', 'semimonthly', 'weekly', 'biweekly'];
+
+// Calendar months, the only period before budgets had one
+const DEFAULT_PERIOD = { type: 'monthly', startDay: 1 };
+
+/**
+ * Get the period of a budget, defaulting for budgets from before periods.
+ * Periods look like { type: 'monthly', startDay: 1-31 }, { type: 'semimonthly' }
+ * (1st-14th and 15th-end) or { type: 'weekly' | 'biweekly', anchor: timestamp }
+ * where anchor is the local midnight of any day a period starts on.
+ * @param {Object} [budget]
+ * @returns {Object}
+ */
+function getBudgetPeriod(budget) {
+    return (budget && budget.period) || DEFAULT_PERIOD;
+}
+
+/**
+ * Check whether a period is the plain calendar month.
+ * @param {Object} period
+ * @returns {boolean}
+ */
+function isCalendarMonthPeriod(period) {
+    return period.type === 'monthly' && (period.startDay || 1) === 1;
+}
+
+/**
+ * Get the start of a monthly period that begins in a given month, moving the
+ * start day back to the month's last day in shorter months.
+ * @param {number} year
+ * @param {number} month - 0-indexed, may be out of range
+ * @param {number} startDay
+ * @returns {Date}
+ */
+function getMonthlyPeriodStart(year, month, startDay) {
+    const first = new Date(year, month, 1);
+    const lastDay = new Date(first.getFullYear(), first.getMonth() + 1, 0).getDate();
+    return new Date(first.getFullYear(), first.getMonth(), Math.min(startDay, lastDay));
+}
+
+/**
+ * Get the first and last moment of the period a date falls in.
+ * @param {Object} period - See getBudgetPeriod
+ * @param {Date} date
+ * @returns {{ start: Date, end: Date }}
+ */
+function getPeriodBounds(period, date) {
+    const year = date.getFullYear();
+    const month = date.getMonth();
+    let start;
+    let next;
+
+    if (period.type === 'weekly' || period.type === 'biweekly') {
+        const length = period.type === 'weekly' ? 7 : 14;
+        const anchor = new Date(period.anchor);
+        const day = new Date(year, month, date.getDate());
+        // Rounded because days around a DST change are not 24 hours long
+        const days = Math.round((day - anchor) / 86400000);
+        const offset = Math.floor(days / length) * length;
+        start = new Date(anchor.getFullYear(), anchor.getMonth(), anchor.getDate() + offset);
+        next = new Date(start.getFullYear(), start.getMonth(), start.getDate() + length);
+    } else if (period.type === 'semimonthly') {
+        const firstHalf = date.getDate() < 15;
+        start = new Date(year, month, firstHalf ? 1 : 15);
+        next = firstHalf ? new Date(year, month, 15) : new Date(year, month + 1, 1);
+    } else {
+        const startDay = period.startDay || 1;
+        start = getMonthlyPeriodStart(year, month, startDay);
+        if (date < start) {
+            next = start;
+            start = getMonthlyPeriodStart(year, month - 1, startDay);
+        } else {
+            next = getMonthlyPeriodStart(year, month + 1, startDay);
+        }
+    }
+
+    return { start, end: new Date(next.getTime() - 1) };
+}
+
+/**
+ * Get the bounds of the period a number of periods before or after another.
+ * @param {Object} period
+ * @param {{ start: Date, end: Date }} bounds
+ * @param {number} delta - Negative for earlier periods
+ * @returns {{ start: Date, end: Date }}
+ */
+function getAdjacentPeriodBounds(period, bounds, delta) {
+    let result = bounds;
+    for (let i = 0; i < Math.abs(delta); i++) {
+        const date = delta > 0
+            ? new Date(result.end.getTime() + 1)
+            : new Date(result.start.getTime() - 1);
+        result = getPeriodBounds(period, date);
+    }
+    return result;
+}
+
+/**
+ * Get a number of consecutive periods ending with the given one, oldest first.
+ * @param {Object} period
+ * @param {{ start: Date, end: Date }} bounds - Last period
+ * @param {number} count
+ * @returns {Array<{ start: Date, end: Date }>}
+ */
+function getPeriodsEndingWith(period, bounds, count) {
+    const periods = [bounds];
+    while (periods.length < count) {
+        periods.unshift(getAdjacentPeriodBounds(period, periods[0], -1));
+    }
+    return periods;
+}
+
+/**
+ * Check whether a date falls inside period bounds.
+ * @param {{ start: Date, end: Date }} bounds
+ * @param {Date} date
+ * @returns {boolean}
+ */
+function isInPeriod(bounds, date) {
+    return date >= bounds.start && date <= bounds.end;
+}
+
+/**
+ * Format a date as "YYYY-MM-DD" in local time.
+ * @param {Date} date
+ * @returns {string}
+ */
+function formatDateKey(date) {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Get the key that per-period data (such as allocation moves) is stored under:
+ * "YYYY-MM" for calendar months, so existing data keeps working, otherwise
+ * the period's first day as "YYYY-MM-DD".
+ * @param {Object} period
+ * @param {{ start: Date, end: Date }} bounds
+ * @returns {string}
+ */
+function getPeriodKey(period, bounds) {
+    const key = formatDateKey(bounds.start);
+    return isCalendarMonthPeriod(period) ? key.slice(0, 7) : key;
+}
+
+/**
+ * Label a period: "October 2026" for calendar months, otherwise its dates,
+ * e.g. "Oct 25 – Nov 24". The year is shown when it isn't the current one.
+ * @param {Object} period
+ * @param {{ start: Date, end: Date }} bounds
+ * @param {{ short?: boolean }} [options] - short gives "Oct" or "Oct 25" for chart labels
+ * @returns {string}
+ */
+function formatPeriodLabel(period, bounds, options = {}) {
+    const showYear = bounds.start.getFullYear() !== new Date().getFullYear()
+        || bounds.end.getFullYear() !== new Date().getFullYear();
+
+    if (isCalendarMonthPeriod(period)) {
+        if (options.short) return bounds.start.toLocaleDateString(undefined, { month: 'short' });
+        return bounds.start.toLocaleDateString(undefined, { month: 'long', year: 'numeric' });
+    }
+
+    if (options.short) return bounds.start.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+    const format = new Intl.DateTimeFormat(undefined, {
+        month: 'short',
+        day: 'numeric',
+        year: showYear ? 'numeric' : undefined
+    });
+    return format.formatRange(bounds.start, bounds.end);
+}
+
+/**
+ * Get the word for one period, for headings like "This Week".
+ * @param {Object} period
+ * @returns {'month' | 'week' | 'period'}
+ */
+function getPeriodNoun(period) {
+    if (isCalendarMonthPeriod(period)) return 'month';
+    if (period.type === 'weekly') return 'week';
+    return 'period';
+}
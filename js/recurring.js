@@ -0,0 +1,130 @@
+/**
+ * Recurring Transactions Module
+ * Works out when recurring rules come due and materializes them as transactions.
+ */
+
+const RECURRING_FREQUENCIES = {
+    weekly: 'Weekly',
+    biweekly: 'Every 2 weeks',
+    monthly: 'Monthly',
+    yearly: 'Yearly'
+};
+
+/**
+ * Get the date of the nth occurrence of a rule (0 is the first).
+ * Monthly and yearly dates are clamped to the end of short months.
+ * @param {Object} rule
+ * @param {number} n
+ * @returns {Date}
+ */
+function getNthOccurrence(rule, n) {
+    const start = new Date(rule.startDate);
+
+    if (rule.frequency === 'weekly' || rule.frequency === 'biweekly') {
+        const step = rule.frequency === 'weekly' ? 7 : 14;
+        return new Date(start.getFullYear(), start.getMonth(), start.getDate() + step * n);
+    }
+
+    if (rule.frequency === 'yearly') {
+        const year = start.getFullYear() + n;
+        const lastDay = new Date(year, start.getMonth() + 1, 0).getDate();
+        return new Date(year, start.getMonth(), Math.min(start.getDate(), lastDay));
+    }
+
+    // Monthly on day N; the first occurrence is the first day N on or after the start date
+    const day = rule.dayOfMonth || start.getDate();
+    const firstMonthOffset = day < start.getDate() ? 1 : 0;
+    const monthStart = new Date(start.getFullYear(), start.getMonth() + firstMonthOffset + n, 1);
+    const lastDay = new Date(monthStart.getFullYear(), monthStart.getMonth() + 1, 0).getDate();
+    return new Date(monthStart.getFullYear(), monthStart.getMonth(), Math.min(day, lastDay));
+}
+
+/**
+ * Get the occurrence timestamps of a rule within a time range (inclusive).
+ * Skipped occurrences and dates outside the rule's start/end are left out.
+ * @param {Object} rule
+ * @param {number} from - Timestamp
+ * @param {number} to - Timestamp
+ * @returns {Array<number>}
+ */
+function getRecurringOccurrences(rule, from, to) {
+    const occurrences = [];
+    const skipped = new Set(rule.skipped || []);
+    const end = rule.endDate ? Math.min(rule.endDate, to) : to;
+
+    for (let n = 0; ; n++) {
+        const timestamp = getNthOccurrence(rule, n).getTime();
+        if (timestamp > end) break;
+        if (timestamp >= from && !skipped.has(timestamp)) {
+            occurrences.push(timestamp);
+        }
+    }
+
+    return occurrences;
+}
+
+/**
+ * Describe a rule's schedule, e.g. "Monthly on day 1".
+ * @param {Object} rule
+ * @returns {string}
+ */
+function describeRecurringRule(rule) {
+    const start = new Date(rule.startDate);
+    if (rule.frequency === 'monthly') {
+        return `Monthly on day ${rule.dayOfMonth || start.getDate()}`;
+    }
+    if (rule.frequency === 'yearly') {
+        return `Yearly on ${start.toLocaleDateString(undefined, { month: 'short', day: 'numeric' })}`;
+    }
+    const weekday = start.toLocaleDateString(undefined, { weekday: 'long' });
+    return `${RECURRING_FREQUENCIES[rule.frequency]} on ${weekday}`;
+}
+
+/**
+ * Write every occurrence that came due since each rule last ran into the
+ * transactions store.
+ * @param {number} [now] - Timestamp
+ * @returns {Promise<number>} Number of transactions created
+ */
+async function materializeDueRecurring(now = Date.now()) {
+    // Due bills are caught up on next time, once every record is sealed again
+    if (isEncryptionChanging()) return 0;
+
+    const rules = await getAllRecurringRules();
+    let count = 0;
+
+    for (const rule of rules) {
+        const from = rule.lastRun !== null && rule.lastRun !== undefined ? rule.lastRun + 1 : rule.startDate;
+        if (from > now) continue;
+
+        const due = getRecurringOccurrences(rule, from, now);
+        if (due.length === 0) continue;
+
+        await addRecurringOccurrences(rule, due, now);
+        count += due.length;
+    }
+
+    return count;
+}
+
+/**
+ * Get the bills of a budget that have not come due yet within a time range.
+ * @param {number} budgetId
+ * @param {number} from - Timestamp
+ * @param {number} to - Timestamp
+ * @returns {Promise<Array<{ rule: Object, timestamp: number }>>}
+ */
+async function getUpcomingRecurring(budgetId, from, to) {
+    const rules = await getAllRecurringRules(budgetId);
+    const upcoming = [];
+
+    rules.forEach((rule) => {
+        // Occurrences up to lastRun are already transactions
+        const start = rule.lastRun !== null && rule.lastRun !== undefined ? Math.max(from, rule.lastRun + 1) : from;
+        getRecurringOccurrences(rule, start, to).forEach((timestamp) => {
+            upcoming.push({ rule, timestamp });
+        });
+    });
+
+    return upcoming.sort((a, b) => a.timestamp - b.timestamp);
+}
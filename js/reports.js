@@ -0,0 +1,68 @@
+/**
+ * Reports Module
+ * Aggregates spending by budget period and category for the trends view.
+ */
+
+// Number of periods the reports view can cover
+const REPORT_RANGES = [6, 12, 24];
+
+/**
+ * Group transactions into per-period category totals, in the order of the
+ * given periods. Periods without spending are included with empty totals.
+ * @param {Array<Object>} transactions
+ * @param {Array<{ start: Date, end: Date }>} periods - Oldest first, from getPeriodsEndingWith
+ * @returns {Array<{ start: Date, end: Date, totals: Object, total: number }>}
+ */
+function buildPeriodReport(transactions, periods) {
+    const report = periods.map((bounds) => ({ start: bounds.start, end: bounds.end, totals: {}, total: 0 }));
+
+    transactions.forEach((tx) => {
+        const date = new Date(tx.timestamp);
+        const entry = report.find((e) => isInPeriod(e, date));
+        if (!entry) return;
+
+        getSpendingLines(tx).forEach((line) => {
+            if (line.amount === 0) return;
+            entry.totals[line.category] = (entry.totals[line.category] || 0) + line.amount;
+            entry.total += line.amount;
+        });
+    });
+
+    return report;
+}
+
+/**
+ * Get the percentage change from one amount to the next.
+ * @param {number} previous
+ * @param {number} current
+ * @returns {number|null} null when there is nothing to compare against
+ */
+function getPercentChange(previous, current) {
+    if (previous <= 0) return null;
+    return ((current - previous) / previous) * 100;
+}
+
+/**
+ * Get each category's average, minimum and maximum spending per period over a
+ * report, plus its change between the last two periods.
+ * @param {Array<Object>} report - From buildPeriodReport
+ * @returns {Array<{ category: string, average: number, min: number, max: number, change: number|null }>}
+ */
+function getCategoryStats(report) {
+    const names = new Set();
+    report.forEach((entry) => Object.keys(entry.totals).forEach((name) => names.add(name)));
+
+    const last = report[report.length - 1];
+    const previous = report[report.length - 2];
+
+    return [...names].map((category) => {
+        const amounts = report.map((entry) => entry.totals[category] || 0);
+        return {
+            category,
+            average: amounts.reduce((sum, amount) => sum + amount, 0) / amounts.length,
+            min: Math.min(...amounts),
+            max: Math.max(...amounts),
+            change: previous ? getPercentChange(previous.totals[category] || 0, last.totals[category] || 0) : null
+        };
+    }).sort((a, b) => b.average - a.average);
+}
@@ -0,0 +1,54 @@
+/**
+ * Search Module
+ * Filters and sorts a budget's transactions for the search view.
+ */
+
+/**
+ * Check whether a transaction matches a filter. Empty filter fields match everything.
+ * A split transaction matches a category when any of its lines is in it.
+ * @param {Object} tx
+ * @param {{ text: string, categories: Array<string>, minAmount: number|null, maxAmount: number|null,
+ *           from: number|null, to: number|null }} filter - from and to are timestamps
+ * @returns {boolean}
+ */
+function matchesFilter(tx, filter) {
+    if (filter.text && !(tx.note || '').toLowerCase().includes(filter.text.toLowerCase())) return false;
+    if (filter.categories.length > 0
+        && !getTransactionLines(tx).some((line) => filter.categories.includes(line.category))) return false;
+    if (filter.minAmount !== null && tx.amount < filter.minAmount) return false;
+    if (filter.maxAmount !== null && tx.amount > filter.maxAmount) return false;
+    if (filter.from !== null && tx.timestamp < filter.from) return false;
+    if (filter.to !== null && tx.timestamp > filter.to) return false;
+    return true;
+}
+
+/**
+ * Sort transactions without changing the original array.
+ * Ties fall back to newest first.
+ * @param {Array<Object>} transactions
+ * @param {'date-desc' | 'date-asc' | 'amount-desc' | 'amount-asc' | 'category'} sort
+ * @returns {Array<Object>}
+ */
+function sortTransactions(transactions, sort) {
+    const byDate = (a, b) => b.timestamp - a.timestamp;
+    const compare = {
+        'date-desc': byDate,
+        'date-asc': (a, b) => a.timestamp - b.timestamp,
+        'amount-desc': (a, b) => b.amount - a.amount || byDate(a, b),
+        'amount-asc': (a, b) => a.amount - b.amount || byDate(a, b),
+        category: (a, b) => a.category.localeCompare(b.category) || byDate(a, b)
+    }[sort] || byDate;
+
+    return [...transactions].sort(compare);
+}
+
+/**
+ * Filter and sort transactions.
+ * @param {Array<Object>} transactions
+ * @param {Object} filter - See matchesFilter
+ * @param {string} sort - See sortTransactions
+ * @returns {Array<Object>}
+ */
+function searchTransactions(transactions, filter, sort) {
+    return sortTransactions(transactions.filter((tx) => matchesFilter(tx, filter)), sort);
+}
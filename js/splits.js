@@ -0,0 +1,79 @@
+/**
+ * Splits Module
+ * A split transaction keeps one total, note and timestamp and spreads the total
+ * over several categories in its splits: [{ category, amount }]. The lines add
+ * up to the total, and the transaction's own category is its largest line's.
+ */
+
+/**
+ * Get the category lines of a transaction: its splits, or one line for the
+ * whole amount when it isn't split.
+ * @param {Object} tx
+ * @returns {Array<{ category: string, amount: number }>}
+ */
+function getTransactionLines(tx) {
+    if (isSplitTransaction(tx)) return tx.splits;
+    return [{ category: tx.category, amount: tx.amount }];
+}
+
+/**
+ * Check whether a transaction is split across categories.
+ * @param {Object} tx
+ * @returns {boolean}
+ */
+function isSplitTransaction(tx) {
+    return Array.isArray(tx.splits) && tx.splits.length > 0;
+}
+
+/**
+ * Add up split lines.
+ * @param {Array<{ amount: number }>} splits
+ * @returns {number}
+ */
+function getSplitsTotal(splits) {
+    return splits.reduce((sum, line) => sum + line.amount, 0);
+}
+
+/**
+ * Get the category of the largest split line, stored as the transaction's category.
+ * @param {Array<{ category: string, amount: number }>} splits
+ * @returns {string}
+ */
+function getMainSplitCategory(splits) {
+    return splits.reduce((main, line) => (line.amount > main.amount ? line : main)).category;
+}
+
+/**
+ * Multiply split amounts by a factor, moving any rounding difference onto the
+ * last line so the lines still add up to the scaled total.
+ * @param {Array<{ category: string, amount: number }>} splits
+ * @param {number} total - The already scaled transaction amount
+ * @param {number} factor
+ * @returns {Array<{ category: string, amount: number }>}
+ */
+function scaleSplits(splits, total, factor) {
+    const scaled = splits.map((line) => ({ ...line, amount: Math.round(line.amount * factor) }));
+    scaled[scaled.length - 1].amount += total - getSplitsTotal(scaled);
+    return scaled;
+}
+
+/**
+ * Rename a category in split lines, combining lines that end up in the same category.
+ * @param {Array<{ category: string, amount: number }>} splits
+ * @param {string} fromName
+ * @param {string} toName
+ * @returns {Array<{ category: string, amount: number }>}
+ */
+function renameSplitCategory(splits, fromName, toName) {
+    const lines = [];
+    splits.forEach((line) => {
+        const category = line.category === fromName ? toName : line.category;
+        const existing = lines.find((l) => l.category === category);
+        if (existing) {
+            existing.amount += line.amount;
+        } else {
+            lines.push({ category, amount: line.amount });
+        }
+    });
+    return lines;
+}
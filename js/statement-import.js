@@ -0,0 +1,166 @@
+/**
+ * Statement Import Module
+ * Parsers for the OFX (and Quicken QFX) and QIF statements that banks and
+ * finance apps export. Statements are turned into the same { fields, rows }
+ * shape as parseCSVFile, so they go through the CSV import's column mapping,
+ * category mapping and preview.
+ */
+
+// Columns of parsed statement rows. Reference identifies a transaction across
+// imports of overlapping statements.
+const STATEMENT_FIELDS = ['Date', 'Amount', 'Payee', 'Memo', 'Category', 'Reference'];
+
+// QIF sections that hold transactions; others list accounts, categories or investments
+const QIF_TRANSACTION_TYPES = ['bank', 'cash', 'ccard', 'oth a', 'oth l'];
+
+/**
+ * Tell whether a file is an OFX or QIF statement.
+ * @param {string} filename
+ * @param {string} text
+ * @returns {'ofx' | 'qif' | null} null for anything else, such as CSV
+ */
+function detectStatementFormat(filename, text) {
+    const start = text.trimStart().slice(0, 1000);
+    if (/\.(ofx|qfx)$/i.test(filename) || /^OFXHEADER|<OFX>/i.test(start)) return 'ofx';
+    if (/\.qif$/i.test(filename) || /^!(Type|Account|Option)/i.test(start)) return 'qif';
+    return null;
+}
+
+/**
+ * Decode the character entities allowed in OFX values.
+ * @param {string} value
+ * @returns {string}
+ */
+function decodeOFXValue(value) {
+    return value.trim()
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&amp;/g, '&');
+}
+
+/**
+ * Build the import reference of an OFX transaction.
+ * @param {string|number} accountId - ACCTID; the budget ID in files exported by this app
+ * @param {string|number} fitId - FITID; the transaction ID in files exported by this app
+ * @returns {string}
+ */
+function getOFXReference(accountId, fitId) {
+    return `ofx|${accountId}|${fitId}`;
+}
+
+/**
+ * Parse an OFX statement. Handles both SGML (OFX 1.x, where values have no
+ * closing tags) and XML (OFX 2.x) files, with any number of accounts.
+ * @param {string} text
+ * @returns {Array<Object>} Rows keyed by STATEMENT_FIELDS
+ */
+function parseOFX(text) {
+    const body = text.slice(Math.max(0, text.search(/<OFX>/i)));
+    const rows = [];
+    let accountId = '';
+    let transaction = null;
+
+    const finishTransaction = () => {
+        if (!transaction) return;
+        // DTPOSTED is YYYYMMDD, optionally followed by a time and time zone
+        const date = (transaction.DTPOSTED || '').match(/^(\d{4})(\d{2})(\d{2})/);
+        const reference = transaction.FITID || transaction.REFNUM || transaction.CHECKNUM || '';
+        rows.push({
+            Date: date ? `${date[1]}-${date[2]}-${date[3]}` : '',
+            // Some banks write decimal commas
+            Amount: (transaction.TRNAMT || '').replace(',', '.'),
+            Payee: transaction.NAME || transaction.PAYEE || '',
+            Memo: transaction.MEMO || '',
+            Category: '',
+            Reference: reference ? getOFXReference(accountId, reference) : ''
+        });
+        transaction = null;
+    };
+
+    const tagPattern = /<(\/?)([A-Za-z0-9.]+)>([^<]*)/g;
+    let match;
+    while ((match = tagPattern.exec(body)) !== null) {
+        const [, closing, rawName, value] = match;
+        const name = rawName.toUpperCase();
+
+        if (name === 'STMTTRN') {
+            finishTransaction();
+            if (!closing) transaction = {};
+        } else if (!closing && name === 'ACCTID') {
+            accountId = decodeOFXValue(value);
+        } else if (!closing && transaction && value.trim()) {
+            transaction[name] = decodeOFXValue(value);
+        }
+    }
+    finishTransaction();
+
+    return rows;
+}
+
+/**
+ * Parse a QIF file's bank, cash and credit card transactions. QIF has no
+ * transaction IDs, so the reference is built from the record's own fields.
+ * @param {string} text
+ * @returns {Array<Object>} Rows keyed by STATEMENT_FIELDS
+ */
+function parseQIF(text) {
+    const rows = [];
+    let inTransactions = false;
+    let record = {};
+
+    text.split(/\r?\n/).forEach((rawLine) => {
+        const line = rawLine.trim();
+        if (!line) return;
+
+        if (line.startsWith('!')) {
+            const type = line.match(/^!Type:(.*)$/i);
+            inTransactions = Boolean(type) && QIF_TRANSACTION_TYPES.includes(type[1].trim().toLowerCase());
+            record = {};
+            return;
+        }
+        if (!inTransactions) return;
+
+        if (line === '^') {
+            if (record.D || record.T) {
+                // Quicken writes dates like 1/ 5'04
+                const date = (record.D || '').replace(/'/g, '/').replace(/\s+/g, '');
+                rows.push({
+                    Date: date,
+                    Amount: record.T || '',
+                    Payee: record.P || '',
+                    Memo: record.M || '',
+                    // Drop the class after "/"; transfers keep their [Account] brackets
+                    Category: (record.L || '').split('/')[0].trim(),
+                    Reference: ['qif', record.D, record.T, record.N, record.P].map((part) => part || '').join('|')
+                });
+            }
+            record = {};
+            return;
+        }
+
+        const code = line[0];
+        // U is a second amount field some apps write next to T; split lines (S, E, $) are not imported
+        const field = code === 'U' ? 'T' : code;
+        if ('DTPMLN'.includes(field) && record[field] === undefined) {
+            record[field] = line.slice(1).trim();
+        }
+    });
+
+    return rows;
+}
+
+/**
+ * Parse an OFX or QIF statement file.
+ * @param {File} file
+ * @returns {Promise<{ fields: Array<string>, rows: Array<Object>, format: 'ofx' | 'qif' }|null>}
+ *   null when the file isn't a statement
+ */
+async function parseStatementFile(file) {
+    const text = await file.text();
+    const format = detectStatementFormat(file.name || '', text);
+    if (!format) return null;
+
+    const rows = format === 'ofx' ? parseOFX(text) : parseQIF(text);
+    return { fields: STATEMENT_FIELDS, rows, format };
+}
@@ -0,0 +1,252 @@
+/**
+ * Sync Module
+ * Optional sync of budgets, categories, recurring rules, transactions and
+ * receipts between devices through a self-hosted server. The app stays
+ * offline first: every write lands in IndexedDB and its change log (see
+ * logChange in db.js), and syncNow() trades changes with the server whenever
+ * it can be reached.
+ *
+ * Protocol, one JSON request per sync:
+ *
+ *   POST <endpoint>
+ *   { "deviceId": "…", "cursor": 42, "changes": [Change, …] }
+ *   -> 200 { "cursor": 57, "changes": [Change, …] }
+ *
+ * A Change is { store, key, op: "put" | "delete", record?, timestamp, deviceId },
+ * where record is the whole record on puts, with attachment images as data
+ * URLs. The server appends the pushed changes to its log and answers with
+ * every change after `cursor` (0 for all of them) pushed by other devices,
+ * plus the cursor to send next time. The server doesn't resolve conflicts:
+ * each device keeps the version of a record with the latest timestamp, the
+ * higher device ID winning ties, so all devices end up with the same data.
+ * Records travel opened: each device seals them with its own passphrase, if
+ * any. The server has no sign-in, so with encryption on a device only syncs
+ * once the passphrase was entered to allow it (see allowDecryptedSync).
+ * tools/sync-server.js is a small reference server.
+ */
+
+// How often to sync while the app is open and connected, in milliseconds
+const SYNC_INTERVAL = 60 * 1000;
+
+// Shown while encryption is on and syncing decrypted data wasn't allowed yet
+const SYNC_PAUSED_MESSAGE = 'Paused because encryption is on. Sync from the sync settings and enter your ' +
+    'passphrase to send your data to the server decrypted.';
+
+let runningSync = null; // Promise of the sync in progress
+
+/**
+ * Get the sync server address this device is connected to.
+ * @returns {Promise<string|null>}
+ */
+async function getSyncEndpoint() {
+    return getSyncState('endpoint');
+}
+
+/**
+ * Get this device's sync ID, creating one the first time.
+ * @returns {Promise<string>}
+ */
+async function getDeviceId() {
+    let deviceId = await getSyncState('deviceId');
+    if (!deviceId) {
+        deviceId = crypto.randomUUID();
+        await setSyncState('deviceId', deviceId);
+    }
+    return deviceId;
+}
+
+/**
+ * Check whether this device may sync. With encryption on, records reach the
+ * server decrypted, which takes the passphrase to allow, once per key.
+ * @returns {Promise<boolean>}
+ */
+async function isSyncAllowed() {
+    return !isEncryptionEnabled() || await getSyncState('decryptedSyncKey') === getEncryptionKeyId();
+}
+
+/**
+ * Allow syncing decrypted records while encryption is on. Call once the
+ * passphrase was entered; a new passphrase needs it again.
+ * @returns {Promise<void>}
+ */
+async function allowDecryptedSync() {
+    await setSyncState('decryptedSyncKey', getEncryptionKeyId());
+}
+
+/**
+ * Send changes to the sync server and receive the other devices' changes.
+ * @param {string} endpoint
+ * @param {{ deviceId: string, cursor: number, changes: Array<Object> }} body
+ * @returns {Promise<{ cursor: number, changes: Array<Object> }>}
+ * @throws {Error} With a message that can be shown to the user
+ */
+async function postChanges(endpoint, body) {
+    let response;
+    try {
+        response = await fetch(endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+    } catch (error) {
+        throw new Error('The sync server could not be reached.');
+    }
+    if (!response.ok) {
+        throw new Error(`The sync server answered with an error (${response.status}).`);
+    }
+
+    const data = await response.json().catch(() => null);
+    if (!data || !Number.isInteger(data.cursor) || !Array.isArray(data.changes)) {
+        throw new Error('The sync server sent an answer this app does not understand.');
+    }
+    return data;
+}
+
+/**
+ * Turn a change log entry into a Change for the server.
+ * @param {{ change: Object, record: Object|null }} item - From getPendingChanges
+ * @param {string} deviceId
+ * @returns {Promise<Object>}
+ */
+async function toServerChange({ change, record }, deviceId) {
+    const serverChange = {
+        store: change.store,
+        key: change.key,
+        op: record ? 'put' : 'delete',
+        timestamp: change.timestamp,
+        deviceId
+    };
+    if (record) {
+        const opened = await openRecord(change.store, record);
+        serverChange.record = change.store === 'attachments' ? await attachmentToJSON(opened) : opened;
+    }
+    return serverChange;
+}
+
+/**
+ * Check a Change from the server and turn attachment images back into Blobs.
+ * @param {Object} change
+ * @returns {Object|null} null for a damaged change
+ */
+function fromServerChange(change) {
+    if (!change || !SYNCED_STORES.includes(change.store) || typeof change.key !== 'number'
+        || typeof change.timestamp !== 'number' || typeof change.deviceId !== 'string') {
+        return null;
+    }
+    if (change.op === 'delete') return change;
+    if (change.op !== 'put' || !change.record || change.record.id !== change.key) return null;
+
+    let record = change.record;
+    if (change.store === 'attachments') {
+        if (typeof record.data !== 'string') return null;
+        try {
+            record = attachmentFromJSON(record);
+        } catch (error) {
+            return null;
+        }
+    }
+    // Records travel opened; a sealed one could never be read here
+    if (record.sealed !== undefined) return null;
+    record = cleanRecord(change.store, record);
+    return record ? { ...change, record } : null;
+}
+
+/**
+ * Apply the server's changes and remember how far this device has read.
+ * @param {{ cursor: number, changes: Array<Object> }} data
+ * @param {string} deviceId
+ * @returns {Promise<number>} Number of applied changes
+ */
+async function applyServerChanges(data, deviceId) {
+    const changes = await Promise.all(data.changes.map(fromServerChange).filter(Boolean).map(async (change) => (
+        change.record ? { ...change, record: await sealRecord(change.store, change.record) } : change
+    )));
+    const applied = await applyRemoteChanges(changes, deviceId);
+    await setSyncState('cursor', data.cursor);
+    await setSyncState('lastSync', Date.now());
+    return applied;
+}
+
+/**
+ * Connect this device to a sync server. When the server already holds data
+ * from other devices, it replaces this device's budgets and transactions;
+ * otherwise this device's data is uploaded to start the shared space.
+ * @param {string} endpoint
+ * @returns {Promise<boolean>} Whether this device's data was replaced
+ */
+async function connectSync(endpoint) {
+    if (!await isSyncAllowed()) throw new Error(SYNC_PAUSED_MESSAGE);
+
+    // A fresh ID, so the server returns everything, even changes this device made before
+    const deviceId = crypto.randomUUID();
+    const data = await postChanges(endpoint, { deviceId, cursor: 0, changes: [] });
+
+    await setSyncState('deviceId', deviceId);
+    const replaced = data.changes.length > 0;
+    if (replaced) {
+        await clearSyncedRecords();
+        await applyServerChanges(data, deviceId);
+    } else {
+        await logAllRecords();
+        await setSyncState('cursor', data.cursor);
+    }
+    await setSyncState('endpoint', endpoint);
+
+    await syncNow();
+    return replaced;
+}
+
+/**
+ * Stop syncing this device. Its data stays as it is.
+ * @returns {Promise<void>}
+ */
+async function disconnectSync() {
+    await setSyncState('endpoint', null);
+    await setSyncState('cursor', null);
+    await setSyncState('lastSync', null);
+    await setSyncState('decryptedSyncKey', null);
+}
+
+/**
+ * Trade changes with the sync server: send this device's pending changes and
+ * apply the other devices' ones. Does nothing when sync isn't set up, and
+ * joins the sync already in progress if there is one.
+ * @returns {Promise<number>} Number of changes applied from other devices
+ * @throws {Error} With a message that can be shown to the user
+ */
+function syncNow() {
+    if (!runningSync) {
+        runningSync = runSync().finally(() => {
+            runningSync = null;
+        });
+    }
+    return runningSync;
+}
+
+/**
+ * Wait for the sync in progress, if any, to finish, whether or not it succeeds.
+ * @returns {Promise<void>}
+ */
+async function waitForSync() {
+    if (runningSync) await runningSync.catch(() => {});
+}
+
+/**
+ * Run one sync. See syncNow.
+ * @returns {Promise<number>}
+ */
+async function runSync() {
+    const endpoint = await getSyncEndpoint();
+    // Resumes with the next sync once every record is sealed again
+    if (!endpoint || isEncryptionChanging()) return 0;
+    if (!await isSyncAllowed()) throw new Error(SYNC_PAUSED_MESSAGE);
+
+    const deviceId = await getDeviceId();
+    const cursor = await getSyncState('cursor') || 0;
+    const pending = await getPendingChanges();
+    const changes = await Promise.all(pending.map((item) => toServerChange(item, deviceId)));
+
+    const data = await postChanges(endpoint, { deviceId, cursor, changes });
+    await markChangesSynced(pending.map((item) => item.change));
+    return applyServerChanges(data, deviceId);
+}
@@ -0,0 +1,71 @@
+/**
+ * Tags Module
+ * Free-form tags such as "vacation-2026" mark transactions across categories
+ * and budgets. They are stored lowercase without the "#" and shown with it.
+ */
+
+const MAX_TAG_LENGTH = 30;
+
+/**
+ * Turn user text into a tag: no leading "#", lowercase, dashes for spaces and
+ * no punctuation other than "-" and "_".
+ * @param {string} text
+ * @returns {string} Empty when nothing usable is left
+ */
+function normalizeTag(text) {
+    return String(text || '')
+        .trim()
+        .replace(/^#+/, '')
+        .toLowerCase()
+        .replace(/\s+/g, '-')
+        .replace(/[^\p{L}\p{N}_-]/gu, '')
+        .slice(0, MAX_TAG_LENGTH);
+}
+
+/**
+ * Read tags from text such as "#vacation-2026 #gift" or "work-trip, gift".
+ * Spaces, commas and semicolons separate tags.
+ * @param {string} text
+ * @returns {Array<string>} Unique tags in the order given
+ */
+function parseTags(text) {
+    const tags = String(text || '').split(/[\s,;]+/).map(normalizeTag).filter(Boolean);
+    return [...new Set(tags)];
+}
+
+/**
+ * Format tags for display and export, e.g. "#vacation-2026 #gift".
+ * @param {Array<string>} tags
+ * @returns {string}
+ */
+function formatTags(tags) {
+    return tags.map((tag) => `#${tag}`).join(' ');
+}
+
+/**
+ * Get a transaction's tags, empty for transactions from before tags.
+ * @param {Object} tx
+ * @returns {Array<string>}
+ */
+function getTransactionTags(tx) {
+    return Array.isArray(tx.tags) ? tx.tags : [];
+}
+
+/**
+ * Total the net spending under each tag. A transaction with several tags
+ * counts fully under each of them.
+ * @param {Array<Object>} transactions
+ * @returns {Array<{ tag: string, total: number, count: number }>} Largest total first
+ */
+function buildTagReport(transactions) {
+    const byTag = new Map();
+    transactions.forEach((tx) => {
+        getTransactionTags(tx).forEach((tag) => {
+            const entry = byTag.get(tag) || { tag, total: 0, count: 0 };
+            entry.total += getSpendingAmount(tx);
+            entry.count++;
+            byTag.set(tag, entry);
+        });
+    });
+    return [...byTag.values()].sort((a, b) => b.total - a.total || a.tag.localeCompare(b.tag));
+}
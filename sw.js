@@ -1,32 +1,56 @@
-const CACHE_NAME = 'budgetingapp-v1';
+// Hash of the cached files, generated by tools/update-sw-cache.js; run it with
+// every release. A changed sw.js is what makes browsers install the new
+// version, which then offers itself through the app's update banner.
+const ASSETS_HASH = 'be1ea4aac51b';
+const CACHE_PREFIX = 'budgetingapp-';
+const CACHE_NAME = `${CACHE_PREFIX}${ASSETS_HASH}`;
+
+// Relative to this script, so the app works under any path (e.g. /budgeting-pwa/)
 const ASSETS_TO_CACHE = [
-    '/',
-    '/index.html',
-    '/style.css',
-    '/js/app.js',
-    '/js/db.js',
-    '/js/csv-export.js',
-    '/lib/papaparse.min.js',
-    '/manifest.json'
+    './',
+    './index.html',
+    './style.css',
+    './js/app.js',
+    './js/money.js',
+    './js/periods.js',
+    './js/splits.js',
+    './js/tags.js',
+    './js/attachments.js',
+    './js/encryption.js',
+    './js/db.js',
+    './js/export.js',
+    './js/csv-import.js',
+    './js/statement-import.js',
+    './js/recurring.js',
+    './js/backup.js',
+    './js/sync.js',
+    './js/reports.js',
+    './js/forecast.js',
+    './js/overview.js',
+    './js/search.js',
+    './js/alerts.js',
+    './lib/papaparse.min.js',
+    './manifest.json',
+    './icons/icon-192.png',
+    './icons/icon-512.png'
 ];
 
-// Install: Cache shell assets
+// Install: Cache shell assets. The new version then waits until the app asks it to take over.
 self.addEventListener('install', (event) => {
     event.waitUntil(
         caches.open(CACHE_NAME).then((cache) => {
             return cache.addAll(ASSETS_TO_CACHE);
         })
     );
-    self.skipWaiting();
 });
 
-// Activate: Clean up old caches
+// Activate: Clean up this app's old caches, leaving other apps on the same origin alone
 self.addEventListener('activate', (event) => {
     event.waitUntil(
         caches.keys().then((cacheNames) => {
             return Promise.all(
                 cacheNames
-                    .filter((name) => name !== CACHE_NAME)
+                    .filter((name) => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME)
                     .map((name) => caches.delete(name))
             );
         })
@@ -34,29 +58,56 @@ self.addEventListener('activate', (event) => {
     self.clients.claim();
 });
 
-// Fetch: Cache-first strategy
+// The "Update available" banner asks the waiting version to take over
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+// Budget alerts: bring the app forward, or open it if no window is left
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windowClients) => {
+            if (windowClients.length > 0) {
+                return windowClients[0].focus();
+            }
+            return self.clients.openWindow('./');
+        })
+    );
+});
+
+// Fetch: Stale-while-revalidate. Answer from the cache right away and refresh
+// the cached copy from the network for next time.
 self.addEventListener('fetch', (event) => {
+    // Leave non-GET and cross-origin requests, such as sync, to the network
+    if (event.request.method !== 'GET' || !event.request.url.startsWith(self.location.origin)) {
+        return;
+    }
+
     event.respondWith(
-        caches.match(event.request).then((cachedResponse) => {
+        caches.open(CACHE_NAME).then(async (cache) => {
+            const cachedResponse = await cache.match(event.request);
+            const networkFetch = fetch(event.request).then((networkResponse) => {
+                if (networkResponse.ok) {
+                    cache.put(event.request, networkResponse.clone());
+                }
+                return networkResponse;
+            });
+
             if (cachedResponse) {
+                // Keep the worker alive until the cache is refreshed; offline, the cached copy is enough
+                event.waitUntil(networkFetch.catch(() => {}));
                 return cachedResponse;
             }
-            return fetch(event.request).then((networkResponse) => {
-                // Don't cache non-GET or cross-origin requests
-                if (event.request.method !== 'GET' || !event.request.url.startsWith(self.location.origin)) {
-                    return networkResponse;
+            return networkFetch.catch(() => {
+                // Fallback for offline navigation requests
+                if (event.request.mode === 'navigate') {
+                    return cache.match('./index.html');
                 }
-                // Clone and cache the response
-                return caches.open(CACHE_NAME).then((cache) => {
-                    cache.put(event.request, networkResponse.clone());
-                    return networkResponse;
-                });
+                throw new Error(`Offline and not cached: ${event.request.url}`);
             });
-        }).catch(() => {
-            // Fallback for offline navigation requests
-            if (event.request.mode === 'navigate') {
-                return caches.match('/index.html');
-            }
         })
     );
 });
@@ -0,0 +1,115 @@
+/**
+ * Reference Sync Server
+ * A small server for the sync protocol described in js/sync.js, for testing
+ * and for households that want to host their own. It keeps one shared change
+ * log and needs nothing but Node.js:
+ *
+ *   node tools/sync-server.js [port] [data-file]
+ *
+ * The app then connects to http://<host>:<port>/sync. Without a data file the
+ * log only lives in memory. There is no authentication, so only run it where
+ * the people who can reach it may see and change the data.
+ */
+
+const http = require('http');
+const fs = require('fs');
+
+const port = parseInt(process.argv[2], 10) || 8787;
+const dataFile = process.argv[3] || null;
+
+// Largest accepted request body, in bytes (receipt images make requests large)
+const MAX_BODY_SIZE = 50 * 1024 * 1024;
+
+// Change log; a change's cursor is its position in the log, starting at 1
+const log = dataFile && fs.existsSync(dataFile) ? JSON.parse(fs.readFileSync(dataFile, 'utf8')) : [];
+
+/**
+ * Send a JSON response, allowing the app to call from any origin.
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {Object} [body]
+ */
+function send(res, status, body) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Allow-Methods': 'POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type'
+    });
+    res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+/**
+ * Read a request body as JSON.
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<any>}
+ */
+function readJSON(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_BODY_SIZE) {
+                reject(new Error('Request too large'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+            } catch (error) {
+                reject(error);
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Append pushed changes to the log and return the ones the device hasn't seen.
+ * @param {{ deviceId: string, cursor: number, changes: Array<Object> }} body
+ * @returns {{ cursor: number, changes: Array<Object> }}
+ */
+function handleSync(body) {
+    const cursor = Number.isInteger(body.cursor) && body.cursor > 0 ? body.cursor : 0;
+    const unseen = log.slice(cursor).filter((change) => change.deviceId !== body.deviceId);
+
+    body.changes.forEach((change) => log.push({ ...change, deviceId: body.deviceId }));
+    if (dataFile && body.changes.length > 0) {
+        fs.writeFileSync(dataFile, JSON.stringify(log));
+    }
+
+    return { cursor: log.length, changes: unseen };
+}
+
+const server = http.createServer(async (req, res) => {
+    if (req.method === 'OPTIONS') {
+        send(res, 204);
+        return;
+    }
+    if (req.method !== 'POST' || req.url !== '/sync') {
+        send(res, 404, { error: 'Not found' });
+        return;
+    }
+
+    let body;
+    try {
+        body = await readJSON(req);
+    } catch (error) {
+        send(res, 400, { error: 'Invalid JSON' });
+        return;
+    }
+    if (!body || typeof body.deviceId !== 'string' || !Array.isArray(body.changes)) {
+        send(res, 400, { error: 'Expected { deviceId, cursor, changes }' });
+        return;
+    }
+
+    send(res, 200, handleSync(body));
+});
+
+server.listen(port, () => {
+    console.log(`Sync server listening on http://localhost:${port}/sync`);
+});
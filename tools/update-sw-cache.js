@@ -0,0 +1,68 @@
+/**
+ * Service Worker Cache Updater
+ * Names the service worker's cache after a hash of the files it caches, so
+ * any change to the app's files changes sw.js, which is what makes browsers
+ * install the new version. Run it before every release:
+ *
+ *   node tools/update-sw-cache.js [--check]
+ *
+ * With --check it only tells whether sw.js is up to date, exiting with 1 when
+ * it isn't, e.g. for a pre-commit hook.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const SW_FILE = path.join(ROOT, 'sw.js');
+
+// The generated line in sw.js
+const HASH_PATTERN = /^const ASSETS_HASH = '[0-9a-f]*';$/m;
+
+/**
+ * Read the asset paths listed in sw.js's ASSETS_TO_CACHE.
+ * @param {string} source - The contents of sw.js
+ * @returns {Array<string>} Paths relative to the app's root
+ */
+function getAssetPaths(source) {
+    const list = source.match(/const ASSETS_TO_CACHE = \[([\s\S]*?)\];/);
+    if (!list) throw new Error('ASSETS_TO_CACHE not found in sw.js');
+    return [...list[1].matchAll(/'\.\/([^']*)'/g)]
+        .map((match) => match[1])
+        // './' is index.html
+        .filter((asset) => asset !== '');
+}
+
+/**
+ * Hash the names and contents of the assets.
+ * @param {Array<string>} assets
+ * @returns {string} The first 12 hex digits of a SHA-256
+ */
+function hashAssets(assets) {
+    const hash = crypto.createHash('sha256');
+    assets.forEach((asset) => {
+        hash.update(`${asset}\n`);
+        hash.update(fs.readFileSync(path.join(ROOT, asset)));
+    });
+    return hash.digest('hex').slice(0, 12);
+}
+
+const source = fs.readFileSync(SW_FILE, 'utf8');
+if (!HASH_PATTERN.test(source)) throw new Error('ASSETS_HASH not found in sw.js');
+
+const assetsHash = hashAssets(getAssetPaths(source));
+const updated = source.replace(HASH_PATTERN, `const ASSETS_HASH = '${assetsHash}';`);
+
+if (process.argv.includes('--check')) {
+    if (updated !== source) {
+        console.error('sw.js is out of date. Run node tools/update-sw-cache.js');
+        process.exit(1);
+    }
+    console.log('sw.js is up to date');
+} else if (updated !== source) {
+    fs.writeFileSync(SW_FILE, updated);
+    console.log(`Updated sw.js to cache ${assetsHash}`);
+} else {
+    console.log('sw.js was already up to date');
+}